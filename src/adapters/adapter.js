@@ -23,6 +23,37 @@ export class Adapter {
       throw new Error('Method not implemented');
     }
   
+    /**
+     * Send a voice note to a recipient
+     * @param {string} recipient - The recipient identifier
+     * @param {Object} audio - Audio to send ({ mimeType, data (Buffer) })
+     * @returns {Promise<void>}
+     */
+    async sendAudio(recipient, audio) {
+      throw new Error('Method not implemented');
+    }
+  
+    /**
+     * Send a file to a recipient
+     * @param {string} recipient - The recipient identifier
+     * @param {Object} document - File to send ({ fileName, mimeType, data (Buffer), caption })
+     * @returns {Promise<void>}
+     */
+    async sendDocument(recipient, document) {
+      throw new Error('Method not implemented');
+    }
+  
+    /**
+     * Create a stream for sending a message progressively as it is generated.
+     * Adapters that can display partial output (e.g. by editing a sent message)
+     * override this; the default buffers everything and sends it once at the end.
+     * @param {string} recipient - The recipient identifier
+     * @returns {MessageStream} - Stream to write the message into
+     */
+    createMessageStream(recipient) {
+      return new MessageStream(this, recipient);
+    }
+  
     /**
      * Set the callback function to be called when a message is received
      * @param {Function} callback - Function that takes (sender, message, context) parameters
@@ -38,4 +69,41 @@ export class Adapter {
     async close() {
       throw new Error('Method not implemented');
     }
+  }
+
+/**
+ * Message Stream
+ *
+ * Collects a message that arrives in pieces. This base implementation is the
+ * single-shot fallback: nothing is shown until end() sends the full text.
+ */
+export class MessageStream {
+    /**
+     * @param {Adapter} adapter - Adapter used to deliver the message
+     * @param {string} recipient - The recipient identifier
+     */
+    constructor(adapter, recipient) {
+      this.adapter = adapter;
+      this.recipient = recipient;
+      this.text = '';
+    }
+  
+    /**
+     * Append a chunk of text to the message
+     * @param {string} delta - New text
+     * @returns {Promise<void>}
+     */
+    async write(delta) {
+      this.text += delta;
+    }
+  
+    /**
+     * Finish the message
+     * @param {string} finalText - Complete message text (defaults to everything written so far)
+     * @returns {Promise<void>}
+     */
+    async end(finalText = this.text) {
+      this.text = finalText;
+      await this.adapter.sendMessage(this.recipient, finalText);
+    }
   }
\ No newline at end of file
@@ -1,5 +1,8 @@
-import { Adapter } from './adapter.js';
+import { Adapter, MessageStream } from './adapter.js';
 import readline from 'readline';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
 
 /**
  * Console Adapter
@@ -8,8 +11,16 @@ import readline from 'readline';
  * It simulates a chat interface using standard input/output.
  */
 export class ConsoleAdapter extends Adapter {
-  constructor() {
+  /**
+   * @param {Object} config - Configuration options
+   */
+  constructor(config = {}) {
     super();
+    this.config = {
+      audioDir: path.join(os.tmpdir(), 'llm-bot-audio'), // Where voice replies are written
+      documentDir: path.join(os.tmpdir(), 'llm-bot-documents'), // Where sent files are written
+      ...config
+    };
     this.rl = null;
     this.isRunning = false;
   }
@@ -49,15 +60,19 @@ export class ConsoleAdapter extends Adapter {
           return;
         }
 
+        // Simulate a user ID
+        const sender = 'console-user';
+
         // Create a simple context object
         const context = {
           quoted: null,
+          platform: 'console',
+          chatId: sender,
+          senderId: sender,
+          isGroup: false,
           timestamp: Date.now()
         };
 
-        // Simulate a user ID
-        const sender = 'console-user';
-
         // Call the message handler with the user input
         if (this.messageHandler) {
           this.messageHandler(sender, message, context);
@@ -83,6 +98,40 @@ export class ConsoleAdapter extends Adapter {
     return Promise.resolve();
   }
 
+  /**
+   * Write a voice note to a file and print its path
+   * @param {string} recipient - Not used in console adapter
+   * @param {Object} audio - Audio to send ({ mimeType, data (Buffer) })
+   * @returns {Promise<void>}
+   */
+  async sendAudio(recipient, audio) {
+    const extension = audio.mimeType.includes('ogg') ? 'ogg' : 'mp3';
+    const file = path.join(this.config.audioDir, `reply-${Date.now()}.${extension}`);
+    await fs.outputFile(file, audio.data);
+    console.log('\x1b[35m🤖 Bot: \x1b[0m🔊 ' + file);
+  }
+
+  /**
+   * Write a document to a file and print its path
+   * @param {string} recipient - Not used in console adapter
+   * @param {Object} document - File to send ({ fileName, mimeType, data (Buffer), caption })
+   * @returns {Promise<void>}
+   */
+  async sendDocument(recipient, document) {
+    const file = path.join(this.config.documentDir, path.basename(document.fileName));
+    await fs.outputFile(file, document.data);
+    console.log('\x1b[35m🤖 Bot: \x1b[0m📄 ' + file + (document.caption ? ` - ${document.caption}` : ''));
+  }
+
+  /**
+   * Create a stream that prints tokens to the console as they arrive
+   * @param {string} recipient - Not used in console adapter
+   * @returns {MessageStream} - Console message stream
+   */
+  createMessageStream(recipient) {
+    return new ConsoleMessageStream(this, recipient);
+  }
+
   /**
    * Close the readline interface
    * @returns {Promise<void>}
@@ -96,4 +145,40 @@ export class ConsoleAdapter extends Adapter {
     console.log('\n\x1b[36mChat session ended. Goodbye!\x1b[0m');
     return Promise.resolve();
   }
+}
+
+/**
+ * Console Message Stream
+ *
+ * Prints each chunk of a streamed reply as soon as it is written.
+ */
+class ConsoleMessageStream extends MessageStream {
+  /**
+   * Print a chunk of text
+   * @param {string} delta - New text
+   * @returns {Promise<void>}
+   */
+  async write(delta) {
+    if (!this.text) {
+      process.stdout.write('\x1b[35m🤖 Bot: \x1b[0m');
+    }
+    this.text += delta;
+    process.stdout.write(delta);
+  }
+
+  /**
+   * Finish the streamed line, or print the final text if it differs
+   * from what was streamed (e.g. an error message)
+   * @param {string} finalText - Complete message text
+   * @returns {Promise<void>}
+   */
+  async end(finalText = this.text) {
+    if (this.text) {
+      process.stdout.write('\n');
+    }
+    if (finalText !== this.text) {
+      await this.adapter.sendMessage(this.recipient, finalText);
+    }
+    this.text = finalText;
+  }
 }
\ No newline at end of file
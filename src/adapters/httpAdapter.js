@@ -0,0 +1,337 @@
+import { Adapter } from './adapter.js';
+import http from 'http';
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import axios from 'axios';
+
+/**
+ * Error with an HTTP status code, sent back to the client as JSON
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Error message
+   */
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * HTTP Adapter
+ *
+ * Lets other services talk to the bot over a small REST API:
+ *
+ *   POST /messages  { "sender": "alice", "text": "Hello", "quoted": { "text": "...", "sender": "bob" } }
+ *     → 200 { "replies": [{ "type": "text", "text": "Hi Alice!" }] }
+ *
+ * Replies to a request are collected and returned in its response. With
+ * "async": true the request is answered with 202 right away and the replies
+ * are delivered to the callback URL instead, like everything the bot sends
+ * outside a request (e.g. !broadcast). Callbacks are POSTed as
+ * { recipient, type, ... } and signed with an HMAC-SHA256 of the body in the
+ * X-Signature header if a callback secret is set.
+ *
+ * Requests must carry the API key as "Authorization: Bearer <key>" or in an
+ * X-API-Key header. Without a key the adapter refuses to start, unless
+ * unauthenticated access is allowed explicitly - anyone who can reach the
+ * server could otherwise send messages as any user, owners included.
+ */
+export class HttpAdapter extends Adapter {
+  /**
+   * @param {Object} config - Configuration options
+   */
+  constructor(config = {}) {
+    super();
+    this.config = {
+      port: parseInt(process.env.HTTP_PORT, 10) || 3000,
+      host: process.env.HTTP_HOST || '127.0.0.1', // Listen on localhost only unless told otherwise
+      apiKey: process.env.HTTP_API_KEY, // Key clients must send
+      allowNoAuth: process.env.HTTP_ALLOW_NO_AUTH === 'true', // Accept requests without authentication when no key is set
+      callbackUrl: process.env.HTTP_CALLBACK_URL, // Where replies outside a request are POSTed
+      callbackSecret: process.env.HTTP_CALLBACK_SECRET, // Key for signing callbacks (optional)
+      maxBodySize: 10 * 1024 * 1024, // Largest request body in bytes (documents are sent inline)
+      ...config
+    };
+    this.server = null;
+
+    // Replies collected for the request being handled, tracked across awaits
+    this.requestContext = new AsyncLocalStorage();
+
+    // Handlers by "METHOD /path"; more can be added with addRoute()
+    this.routes = new Map();
+    this.addRoute('GET', '/health', async () => ({ status: 200, body: { status: 'ok' } }), { public: true });
+    this.addRoute('POST', '/messages', this.handlePostMessage.bind(this));
+  }
+
+  /**
+   * Add an API route
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path
+   * @param {Function} handler - Called with (request, body, response); resolves to { status, body },
+   *   or to null if it wrote the response itself
+   * @param {Object} options - Options
+   * @param {boolean} options.public - Whether the route can be used without the API key
+   */
+  addRoute(method, path, handler, { public: isPublic = false } = {}) {
+    this.routes.set(`${method} ${path}`, { handler, isPublic });
+  }
+
+  /**
+   * Start the HTTP server
+   * @returns {Promise<void>}
+   * @throws {Error} - If no API key is set and unauthenticated access isn't allowed
+   */
+  async initialize() {
+    if (!this.config.apiKey) {
+      if (!this.config.allowNoAuth) {
+        throw new Error('HTTP_API_KEY is not set. Set it, or set HTTP_ALLOW_NO_AUTH=true to accept requests without authentication');
+      }
+      console.warn('HTTP_API_KEY is not set: the HTTP API accepts requests without authentication');
+    }
+
+    this.server = http.createServer((request, response) => {
+      this.handleRequest(request, response).catch(error => {
+        console.error('Error handling HTTP request:', error);
+        if (!response.headersSent) {
+          this.sendJson(response, 500, { error: 'Internal server error' });
+        } else {
+          response.end();
+        }
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.config.port, this.config.host, resolve);
+    });
+
+    const { address, port } = this.server.address();
+    console.log(`HTTP API listening on http://${address}:${port}`);
+  }
+
+  /**
+   * Route a request to its handler
+   * @param {http.IncomingMessage} request - Request
+   * @param {http.ServerResponse} response - Response
+   * @returns {Promise<void>}
+   */
+  async handleRequest(request, response) {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    const route = this.routes.get(`${request.method} ${pathname}`);
+
+    try {
+      if (!route) {
+        const knownPath = [...this.routes.keys()].some(key => key.endsWith(` ${pathname}`));
+        throw new HttpError(knownPath ? 405 : 404, knownPath ? 'Method not allowed' : 'Not found');
+      }
+      if (!route.isPublic && !this.isAuthorized(request)) {
+        throw new HttpError(401, 'Invalid or missing API key');
+      }
+
+      const body = request.method === 'POST' ? await this.readJson(request) : null;
+      const result = await route.handler(request, body, response);
+      if (result) {
+        this.sendJson(response, result.status, result.body);
+      }
+    } catch (error) {
+      if (!(error instanceof HttpError)) throw error;
+      this.sendJson(response, error.status, { error: error.message });
+    }
+  }
+
+  /**
+   * Check the API key of a request
+   * @param {http.IncomingMessage} request - Request
+   * @returns {boolean}
+   */
+  isAuthorized(request) {
+    if (!this.config.apiKey) return true;
+
+    const bearer = (request.headers.authorization || '').match(/^Bearer\s+(.+)$/i)?.[1];
+    const key = bearer || request.headers['x-api-key'] || '';
+
+    // Compare hashes so the check takes the same time whatever the key
+    const hash = (value) => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(hash(key), hash(this.config.apiKey));
+  }
+
+  /**
+   * Read and parse a JSON request body
+   * @param {http.IncomingMessage} request - Request
+   * @returns {Promise<Object>}
+   * @throws {HttpError} - If the body is too large or not a JSON object
+   */
+  async readJson(request) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of request) {
+      size += chunk.length;
+      if (size > this.config.maxBodySize) {
+        throw new HttpError(413, 'Request body is too large');
+      }
+      chunks.push(chunk);
+    }
+
+    try {
+      const body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+      if (body && typeof body === 'object' && !Array.isArray(body)) return body;
+    } catch {
+      // Reported below
+    }
+    throw new HttpError(400, 'Request body must be a JSON object');
+  }
+
+  /**
+   * Send a JSON response
+   * @param {http.ServerResponse} response - Response
+   * @param {number} status - HTTP status code
+   * @param {Object} body - Response body
+   */
+  sendJson(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+  }
+
+  /**
+   * Handle POST /messages: pass the message to the bot and return its replies
+   * @param {http.IncomingMessage} request - Request
+   * @param {Object} body - { sender, text, senderName, quoted: { text, sender }, document, async }
+   * @returns {Promise<Object>} - { status, body }
+   */
+  async handlePostMessage(request, body) {
+    const { sender, text, senderName, quoted, document } = body;
+
+    if (typeof sender !== 'string' || !sender.trim()) {
+      throw new HttpError(400, '"sender" must be a non-empty string');
+    }
+    if (typeof text !== 'string') {
+      throw new HttpError(400, '"text" must be a string');
+    }
+    if (quoted !== undefined && (typeof quoted !== 'object' || typeof quoted?.text !== 'string')) {
+      throw new HttpError(400, '"quoted" must be an object with a "text" string');
+    }
+    if (document !== undefined && (typeof document !== 'object' || typeof document?.data !== 'string')) {
+      throw new HttpError(400, '"document" must be an object with base64 "data"');
+    }
+
+    const data = document ? Buffer.from(document.data, 'base64') : null;
+    const context = {
+      quoted: quoted ? { text: quoted.text, sender: quoted.sender || '', type: 'normal' } : null,
+      platform: 'http',
+      chatId: sender,
+      senderId: sender,
+      senderName: senderName || sender,
+      isGroup: false,
+      document: document ? {
+        fileName: document.fileName || 'document',
+        mimeType: document.mimeType || 'application/octet-stream',
+        size: data.length,
+        download: async () => data
+      } : null,
+      timestamp: Date.now()
+    };
+
+    if (!this.messageHandler) {
+      throw new HttpError(503, 'The bot is not ready yet');
+    }
+
+    // Async requests: answer now, deliver the replies to the callback URL
+    if (body.async) {
+      if (!this.config.callbackUrl) {
+        throw new HttpError(400, 'Async requests need a callback URL (HTTP_CALLBACK_URL)');
+      }
+      Promise.resolve()
+        .then(() => this.messageHandler(sender, text, context))
+        .catch(error => console.error(`Error handling an async message from ${sender}:`, error));
+      return { status: 202, body: { accepted: true } };
+    }
+
+    const replies = [];
+    await this.requestContext.run({ recipient: sender, replies }, () => this.messageHandler(sender, text, context));
+    return { status: 200, body: { replies } };
+  }
+
+  /**
+   * Deliver a reply: add it to the response of the request being handled,
+   * or POST it to the callback URL
+   * @param {string} recipient - The recipient identifier
+   * @param {Object} reply - Reply ({ type, ... })
+   * @returns {Promise<void>}
+   */
+  async deliver(recipient, reply) {
+    const pending = this.requestContext.getStore();
+    if (pending && pending.recipient === recipient) {
+      pending.replies.push(reply);
+      return;
+    }
+
+    if (!this.config.callbackUrl) {
+      console.warn(`No HTTP callback URL set; dropping a ${reply.type} reply to ${recipient}`);
+      return;
+    }
+
+    const payload = JSON.stringify({ recipient, ...reply });
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.config.callbackSecret) {
+      headers['X-Signature'] = crypto.createHmac('sha256', this.config.callbackSecret).update(payload).digest('hex');
+    }
+
+    try {
+      await axios.post(this.config.callbackUrl, payload, { headers, timeout: 10000 });
+    } catch (error) {
+      console.error(`Error delivering a reply to ${this.config.callbackUrl}:`, error.message);
+    }
+  }
+
+  /**
+   * Send a message to a recipient
+   * @param {string} recipient - The recipient identifier
+   * @param {string} message - The message content
+   * @returns {Promise<void>}
+   */
+  async sendMessage(recipient, message) {
+    await this.deliver(recipient, { type: 'text', text: message });
+  }
+
+  /**
+   * Send a voice note to a recipient (base64 encoded)
+   * @param {string} recipient - The recipient identifier
+   * @param {Object} audio - Audio to send ({ mimeType, data (Buffer) })
+   * @returns {Promise<void>}
+   */
+  async sendAudio(recipient, audio) {
+    await this.deliver(recipient, { type: 'audio', mimeType: audio.mimeType, data: audio.data.toString('base64') });
+  }
+
+  /**
+   * Send a file to a recipient (base64 encoded)
+   * @param {string} recipient - The recipient identifier
+   * @param {Object} document - File to send ({ fileName, mimeType, data (Buffer), caption })
+   * @returns {Promise<void>}
+   */
+  async sendDocument(recipient, document) {
+    await this.deliver(recipient, {
+      type: 'document',
+      fileName: document.fileName,
+      mimeType: document.mimeType,
+      data: document.data.toString('base64'),
+      caption: document.caption
+    });
+  }
+
+  /**
+   * Stop the HTTP server
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.server) {
+      console.log('Stopping HTTP server...');
+      const closed = new Promise(resolve => this.server.close(resolve));
+      this.server.closeAllConnections();
+      await closed;
+      this.server = null;
+    }
+  }
+}
@@ -0,0 +1,173 @@
+import { Adapter } from './adapter.js';
+
+/**
+ * Namespaced ids look like "<platform>:<id on the platform>"
+ */
+const NAMESPACED_ID = /^([a-z]+):(.+)$/s;
+
+/**
+ * Multi Adapter
+ *
+ * Runs one or more platform adapters behind one message service, so they share
+ * the LLM service, store, access lists and quotas. Ids are namespaced by
+ * platform ("whatsapp:15550100@s.whatsapp.net", "telegram:12345",
+ * "console:console-user") so users on different platforms never share a
+ * conversation, and everything sent to an id goes out through the adapter
+ * of its platform - replies always return the way the message came in.
+ */
+export class MultiAdapter extends Adapter {
+  /**
+   * @param {Object} adapters - Adapters by platform name, e.g. { whatsapp: new WhatsAppAdapter() }
+   */
+  constructor(adapters = {}) {
+    super();
+    this.adapters = new Map(Object.entries(adapters));
+
+    if (!this.adapters.size) {
+      throw new Error('MultiAdapter needs at least one adapter');
+    }
+    for (const platform of this.adapters.keys()) {
+      if (!/^[a-z]+$/.test(platform)) {
+        throw new Error(`Invalid platform name: ${platform}`);
+      }
+    }
+  }
+
+  /**
+   * Namespace an id with its platform
+   * @param {string} platform - Platform name
+   * @param {string} id - Id on the platform
+   * @returns {string} - "<platform>:<id>"
+   */
+  static toGlobalId(platform, id) {
+    return `${platform}:${id}`;
+  }
+
+  /**
+   * Split a namespaced id into its platform and the id on that platform
+   * @param {string} globalId - Namespaced id
+   * @returns {Object|null} - { platform, id }, or null if the id has no platform
+   */
+  static parseGlobalId(globalId) {
+    const match = String(globalId).match(NAMESPACED_ID);
+    return match ? { platform: match[1], id: match[2] } : null;
+  }
+
+  /**
+   * Initialize every adapter, one after the other (e.g. so a QR code isn't
+   * mixed up with the console prompt)
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    for (const [platform, adapter] of this.adapters) {
+      adapter.setMessageHandler((sender, message, context = {}) => (
+        this.messageHandler?.(
+          MultiAdapter.toGlobalId(platform, sender),
+          message,
+          this.namespaceContext(platform, context)
+        )
+      ));
+      await adapter.initialize();
+    }
+    console.log(`Running on: ${[...this.adapters.keys()].join(', ')}`);
+  }
+
+  /**
+   * Namespace the ids in a message context
+   * @param {string} platform - Platform the message came from
+   * @param {Object} context - Message context from the adapter
+   * @returns {Object} - Context with namespaced chatId, senderId and quoted sender
+   */
+  namespaceContext(platform, context) {
+    const toGlobal = (id) => (id ? MultiAdapter.toGlobalId(platform, id) : id);
+
+    return {
+      ...context,
+      platform: context.platform || platform,
+      chatId: toGlobal(context.chatId),
+      senderId: toGlobal(context.senderId),
+      quoted: context.quoted ? { ...context.quoted, sender: toGlobal(context.quoted.sender) } : context.quoted
+    };
+  }
+
+  /**
+   * Find the adapter for a namespaced id
+   * @param {string} recipient - Namespaced recipient id
+   * @returns {Object} - { adapter, id } with the id on the adapter's platform
+   * @throws {Error} - If the id has no platform or the platform isn't running
+   */
+  route(recipient) {
+    const parsed = MultiAdapter.parseGlobalId(recipient);
+    const adapter = parsed && this.adapters.get(parsed.platform);
+    if (!adapter) {
+      throw new Error(`No adapter for recipient ${recipient}`);
+    }
+    return { adapter, id: parsed.id };
+  }
+
+  /**
+   * Get the adapter of a platform
+   * @param {string} platform - Platform name
+   * @returns {Adapter|undefined}
+   */
+  getAdapter(platform) {
+    return this.adapters.get(platform);
+  }
+
+  /**
+   * Send a message through the recipient's platform
+   * @param {string} recipient - Namespaced recipient id
+   * @param {string} message - The message content
+   * @returns {Promise<*>}
+   */
+  async sendMessage(recipient, message) {
+    const { adapter, id } = this.route(recipient);
+    return adapter.sendMessage(id, message);
+  }
+
+  /**
+   * Send a voice note through the recipient's platform
+   * @param {string} recipient - Namespaced recipient id
+   * @param {Object} audio - Audio to send ({ mimeType, data (Buffer) })
+   * @returns {Promise<*>}
+   */
+  async sendAudio(recipient, audio) {
+    const { adapter, id } = this.route(recipient);
+    return adapter.sendAudio(id, audio);
+  }
+
+  /**
+   * Send a file through the recipient's platform
+   * @param {string} recipient - Namespaced recipient id
+   * @param {Object} document - File to send ({ fileName, mimeType, data (Buffer), caption })
+   * @returns {Promise<*>}
+   */
+  async sendDocument(recipient, document) {
+    const { adapter, id } = this.route(recipient);
+    return adapter.sendDocument(id, document);
+  }
+
+  /**
+   * Create a message stream on the recipient's platform
+   * @param {string} recipient - Namespaced recipient id
+   * @returns {MessageStream} - The platform adapter's stream
+   */
+  createMessageStream(recipient) {
+    const { adapter, id } = this.route(recipient);
+    return adapter.createMessageStream(id);
+  }
+
+  /**
+   * Close every adapter
+   * @returns {Promise<void>}
+   */
+  async close() {
+    for (const [platform, adapter] of this.adapters) {
+      try {
+        await adapter.close();
+      } catch (error) {
+        console.error(`Error closing the ${platform} adapter:`, error);
+      }
+    }
+  }
+}
@@ -0,0 +1,521 @@
+import { Adapter, MessageStream } from './adapter.js';
+import axios from 'axios';
+
+/**
+ * Longest text Telegram accepts in one message
+ */
+const MAX_MESSAGE_LENGTH = 4096;
+
+/**
+ * Appended to a streamed reply until it is complete
+ */
+const STREAM_CURSOR = ' ▍';
+
+/**
+ * Split a long text into messages Telegram accepts, preferably at line breaks
+ * @param {string} text - Text to split
+ * @param {number} limit - Maximum length of a part
+ * @returns {Array} - Parts
+ */
+const splitText = (text, limit = MAX_MESSAGE_LENGTH) => {
+  const parts = [];
+  let rest = text;
+
+  while (rest.length > limit) {
+    const breakAt = rest.lastIndexOf('\n', limit);
+    const end = breakAt > limit / 2 ? breakAt : limit;
+    parts.push(rest.substring(0, end));
+    rest = rest.substring(end).replace(/^\n/, '');
+  }
+
+  return [...parts, rest];
+};
+
+/**
+ * Telegram Adapter
+ *
+ * This adapter connects to Telegram through the Bot API, receiving messages
+ * with long polling. Chats map onto the same (sender, message, context) shape
+ * as the WhatsApp adapter: groups share one conversation keyed by the chat id,
+ * replies to messages become quoted context, and the bot counts as mentioned
+ * when its @username is in the message.
+ */
+export class TelegramAdapter extends Adapter {
+  /**
+   * @param {Object} config - Configuration options
+   */
+  constructor(config = {}) {
+    super();
+    this.config = {
+      token: process.env.TELEGRAM_BOT_TOKEN,
+      apiBaseUrl: process.env.TELEGRAM_API_URL || 'https://api.telegram.org', // e.g. a local stand-in for testing
+      pollTimeout: 30, // Seconds each long poll waits for updates
+      retryDelay: 5000, // Milliseconds to wait after a failed poll
+      streamEditInterval: 2000, // Minimum milliseconds between edits of a streamed reply
+      downloadImages: true, // Download photos so vision models can see them
+      ...config
+    };
+
+    this.bot = null;
+    this.offset = 0;
+    this.isRunning = false;
+    this.polling = null;
+    this.abortController = null;
+  }
+
+  /**
+   * Check the bot token and start polling for updates
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (!this.config.token) {
+      throw new Error('TELEGRAM_BOT_TOKEN is not set');
+    }
+
+    // The bot's own account, for recognizing mentions and replies to the bot
+    this.bot = await this.callApi('getMe');
+    console.log(`Connected to Telegram as @${this.bot.username}`);
+
+    this.isRunning = true;
+    this.polling = this.poll();
+  }
+
+  /**
+   * Call a Bot API method
+   * @param {string} method - Method name, e.g. "sendMessage"
+   * @param {Object|FormData} params - Parameters
+   * @param {Object} options - Extra axios options
+   * @returns {Promise<*>} - The method's result
+   * @throws {Error} - If the request fails or Telegram reports an error
+   */
+  async callApi(method, params = {}, options = {}) {
+    try {
+      const response = await axios.post(`${this.config.apiBaseUrl}/bot${this.config.token}/${method}`, params, options);
+      return response.data.result;
+    } catch (error) {
+      // Keep the token (part of the URL) out of the logs
+      const description = error.response?.data?.description || error.message;
+      throw new Error(`Telegram ${method} failed: ${description}`);
+    }
+  }
+
+  /**
+   * Fetch updates with long polling until the adapter is closed
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    while (this.isRunning) {
+      try {
+        this.abortController = new AbortController();
+        const updates = await this.callApi('getUpdates', {
+          offset: this.offset,
+          timeout: this.config.pollTimeout,
+          allowed_updates: ['message']
+        }, {
+          timeout: (this.config.pollTimeout + 10) * 1000,
+          signal: this.abortController.signal
+        });
+
+        for (const update of updates) {
+          this.offset = update.update_id + 1;
+          if (update.message) {
+            await this.handleUpdate(update.message);
+          }
+        }
+      } catch (error) {
+        if (!this.isRunning) break;
+        console.error('Error polling Telegram:', error.message);
+        await new Promise(resolve => setTimeout(resolve, this.config.retryDelay));
+      }
+    }
+  }
+
+  /**
+   * Turn a Telegram message into a call of the message handler
+   * @param {Object} message - Telegram message
+   * @returns {Promise<void>}
+   */
+  async handleUpdate(message) {
+    try {
+      if (!message.from || message.from.is_bot) return;
+
+      const chatId = String(message.chat.id);
+      const senderId = String(message.from.id);
+      const isGroup = ['group', 'supergroup'].includes(message.chat.type);
+
+      let content = message.text || message.caption || '';
+      const isMentioned = this.isBotMentioned(message);
+      const isReplyToBot = message.reply_to_message?.from?.id === this.bot.id;
+
+      if (isMentioned) {
+        content = this.stripBotMention(content);
+      }
+
+      let quoted = null;
+      if (message.reply_to_message) {
+        quoted = this.getQuotedContext(message.reply_to_message);
+      }
+
+      // Download photos sent with the message or in the quoted message,
+      // and voice notes so they can be transcribed
+      const loadMedia = async () => {
+        const images = [];
+        if (this.config.downloadImages) {
+          if (message.photo) {
+            const image = await this.downloadImage(message.photo);
+            if (image) images.push(image);
+          }
+          if (quoted && message.reply_to_message.photo) {
+            const image = await this.downloadImage(message.reply_to_message.photo);
+            quoted.images = image ? [image] : [];
+          }
+        }
+        const audio = message.voice || message.audio ? await this.downloadAudio(message) : null;
+        return { images, audio };
+      };
+
+      // Group messages that don't mention or reply to the bot may not be for
+      // it, so their media is left to the message handler to download if needed
+      const hasMedia = !!(message.photo || message.voice || message.audio || message.reply_to_message?.photo);
+      const isAddressed = !isGroup || isMentioned || isReplyToBot;
+      const { images, audio } = isAddressed ? await loadMedia() : { images: [], audio: null };
+
+      const context = {
+        quoted,
+        platform: 'telegram',
+        chatId,
+        senderId,
+        senderName: [message.from.first_name, message.from.last_name].filter(Boolean).join(' ')
+          || message.from.username
+          || senderId,
+        isGroup,
+        isMentioned,
+        isReplyToBot,
+        images,
+        audio,
+        loadMedia: !isAddressed && hasMedia ? loadMedia : null,
+        document: this.getDocument(message.document),
+        timestamp: message.date * 1000
+      };
+
+      // Photos without a caption and voice notes have no text
+      if (this.messageHandler && (content || images.length || audio || context.loadMedia)) {
+        console.log(`Received message from ${senderId}: ${content}`);
+        this.messageHandler(chatId, content, context);
+      }
+    } catch (error) {
+      console.error('Error handling Telegram message:', error);
+    }
+  }
+
+  /**
+   * Check whether a message mentions the bot by @username or by name (text mention)
+   * @param {Object} message - Telegram message
+   * @returns {boolean}
+   */
+  isBotMentioned(message) {
+    const text = message.text || message.caption || '';
+    const entities = message.entities || message.caption_entities || [];
+
+    return entities.some(entity => (
+      entity.type === 'mention'
+        && text.substring(entity.offset, entity.offset + entity.length).toLowerCase() === `@${this.bot.username.toLowerCase()}`
+    ) || (
+      entity.type === 'text_mention' && entity.user?.id === this.bot.id
+    ));
+  }
+
+  /**
+   * Remove the bot's @username from a message
+   * @param {string} text - Message text
+   * @returns {string}
+   */
+  stripBotMention(text) {
+    return text
+      .replace(new RegExp(`@${this.bot.username}\\b`, 'gi'), '')
+      .replace(/[ \t]{2,}/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Build the quoted context of a reply
+   * @param {Object} replyTo - The message being replied to
+   * @returns {Object} - { text, sender, type, mediaType, document }
+   */
+  getQuotedContext(replyTo) {
+    const mediaType = ['photo', 'voice', 'audio', 'video', 'document', 'sticker'].find(type => replyTo[type]) || null;
+
+    return {
+      text: replyTo.text || replyTo.caption || '',
+      sender: replyTo.from ? String(replyTo.from.id) : '',
+      type: 'normal',
+      mediaType,
+      document: this.getDocument(replyTo.document)
+    };
+  }
+
+  /**
+   * Describe an attached document
+   * @param {Object} document - Telegram document
+   * @returns {Object|null} - { fileName, mimeType, size, download() (Buffer) } or null if there is none
+   */
+  getDocument(document) {
+    if (!document) return null;
+
+    return {
+      fileName: document.file_name || 'document',
+      mimeType: document.mime_type || 'application/octet-stream',
+      size: document.file_size || 0,
+      download: () => this.downloadFile(document.file_id)
+    };
+  }
+
+  /**
+   * Download a file sent to the bot
+   * @param {string} fileId - Telegram file id
+   * @returns {Promise<Buffer>} - File contents
+   */
+  async downloadFile(fileId) {
+    const file = await this.callApi('getFile', { file_id: fileId });
+    const response = await axios.get(`${this.config.apiBaseUrl}/file/bot${this.config.token}/${file.file_path}`, {
+      responseType: 'arraybuffer'
+    });
+    return Buffer.from(response.data);
+  }
+
+  /**
+   * Download the largest size of a photo and encode it for the LLM
+   * @param {Array} sizes - Telegram photo sizes, smallest first
+   * @returns {Promise<Object|null>} - { mimeType, data (base64) } or null on failure
+   */
+  async downloadImage(sizes) {
+    try {
+      const buffer = await this.downloadFile(sizes[sizes.length - 1].file_id);
+      return { mimeType: 'image/jpeg', data: buffer.toString('base64') };
+    } catch (error) {
+      console.error('Error downloading Telegram photo:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Download the audio of a voice note or audio message
+   * @param {Object} message - Telegram message with a voice or audio
+   * @returns {Promise<Object|null>} - { mimeType, data (Buffer), isVoiceNote } or null on failure
+   */
+  async downloadAudio(message) {
+    const audio = message.voice || message.audio;
+    try {
+      return {
+        mimeType: audio.mime_type || 'audio/ogg; codecs=opus',
+        data: await this.downloadFile(audio.file_id),
+        isVoiceNote: !!message.voice
+      };
+    } catch (error) {
+      console.error('Error downloading Telegram audio:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Send a message to a Telegram chat, split into parts if it is too long
+   * @param {string} recipient - Chat id
+   * @param {string} message - Message content
+   * @returns {Promise<Object>} - The last message sent
+   */
+  async sendMessage(recipient, message) {
+    try {
+      console.log(`Sending message to ${recipient}`);
+
+      let result = null;
+      for (const part of splitText(message)) {
+        result = await this.callApi('sendMessage', { chat_id: recipient, text: part });
+      }
+      return result;
+    } catch (error) {
+      console.error('Error sending Telegram message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Edit a previously sent message
+   * @param {string} recipient - Chat id
+   * @param {number} messageId - Id of the message to edit
+   * @param {string} message - New message content (at most one message long)
+   * @returns {Promise<Object>} - The edited message
+   */
+  async editMessage(recipient, messageId, message) {
+    try {
+      return await this.callApi('editMessageText', { chat_id: recipient, message_id: messageId, text: message });
+    } catch (error) {
+      console.error('Error editing Telegram message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Upload a file with a Bot API method
+   * @param {string} method - "sendDocument", "sendVoice" or "sendAudio"
+   * @param {string} field - Name of the file field
+   * @param {string} recipient - Chat id
+   * @param {Object} file - { fileName, mimeType, data (Buffer) }
+   * @param {string} caption - Caption (optional)
+   * @returns {Promise<Object>} - The message sent
+   */
+  async sendFile(method, field, recipient, file, caption = null) {
+    const form = new FormData();
+    form.append('chat_id', recipient);
+    form.append(field, new Blob([file.data], { type: file.mimeType }), file.fileName);
+    if (caption) {
+      form.append('caption', caption);
+    }
+    return this.callApi(method, form);
+  }
+
+  /**
+   * Send a voice note (Ogg/Opus) or other audio to a Telegram chat
+   * @param {string} recipient - Chat id
+   * @param {Object} audio - Audio to send ({ mimeType, data (Buffer) })
+   * @returns {Promise<Object>} - The message sent
+   */
+  async sendAudio(recipient, audio) {
+    try {
+      console.log(`Sending voice note to ${recipient}`);
+
+      const isOgg = audio.mimeType.includes('ogg');
+      return await this.sendFile(isOgg ? 'sendVoice' : 'sendAudio', isOgg ? 'voice' : 'audio', recipient, {
+        ...audio,
+        fileName: isOgg ? 'reply.ogg' : 'reply.mp3'
+      });
+    } catch (error) {
+      console.error('Error sending Telegram voice note:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a file to a Telegram chat
+   * @param {string} recipient - Chat id
+   * @param {Object} document - File to send ({ fileName, mimeType, data (Buffer), caption })
+   * @returns {Promise<Object>} - The message sent
+   */
+  async sendDocument(recipient, document) {
+    try {
+      console.log(`Sending document ${document.fileName} to ${recipient}`);
+      return await this.sendFile('sendDocument', 'document', recipient, document, document.caption);
+    } catch (error) {
+      console.error('Error sending Telegram document:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a stream that sends a reply and edits it in place as it grows
+   * @param {string} recipient - Chat id
+   * @returns {MessageStream} - Telegram message stream
+   */
+  createMessageStream(recipient) {
+    return new TelegramMessageStream(this, recipient, this.config.streamEditInterval);
+  }
+
+  /**
+   * Stop polling for updates
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (!this.isRunning) return;
+
+    console.log('Stopping Telegram polling...');
+    this.isRunning = false;
+    this.abortController?.abort();
+    await this.polling;
+  }
+}
+
+/**
+ * Telegram Message Stream
+ *
+ * Sends the first chunk of a reply as a new message, then edits that message
+ * at most once per interval until the reply is complete. Replies longer than
+ * one Telegram message continue in new messages at the end.
+ */
+class TelegramMessageStream extends MessageStream {
+  /**
+   * @param {TelegramAdapter} adapter - Adapter used to deliver the message
+   * @param {string} recipient - Chat id
+   * @param {number} interval - Minimum milliseconds between edits
+   */
+  constructor(adapter, recipient, interval) {
+    super(adapter, recipient);
+    this.interval = interval;
+    this.messageId = null;
+    this.sentText = '';
+    this.lastUpdate = 0;
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Append a chunk of text, updating the Telegram message if the interval has passed
+   * @param {string} delta - New text
+   * @returns {Promise<void>}
+   */
+  async write(delta) {
+    this.text += delta;
+
+    // Don't wait for the update so the completion keeps streaming
+    if (Date.now() - this.lastUpdate >= this.interval) {
+      this.queueUpdate(false);
+    }
+  }
+
+  /**
+   * Send the final text
+   * @param {string} finalText - Complete message text
+   * @returns {Promise<void>}
+   */
+  async end(finalText = this.text) {
+    this.text = finalText;
+    await this.queueUpdate(true);
+  }
+
+  /**
+   * Queue an update behind any in-flight send/edit so they stay in order
+   * @param {boolean} isFinal - Whether this is the last update
+   * @returns {Promise<void>}
+   */
+  queueUpdate(isFinal) {
+    this.lastUpdate = Date.now();
+    this.pending = this.pending
+      .then(() => this.update(isFinal))
+      .catch(error => console.error('Error updating streamed message:', error));
+    return this.pending;
+  }
+
+  /**
+   * Send or edit the Telegram message with the current text
+   * @param {boolean} isFinal - Whether this is the last update
+   * @returns {Promise<void>}
+   */
+  async update(isFinal) {
+    // Leave room for the cursor shown while the reply is still being generated
+    const [first, ...rest] = splitText(this.text, MAX_MESSAGE_LENGTH - STREAM_CURSOR.length);
+    if (!first.trim()) return;
+
+    const content = isFinal ? first : `${first.trimEnd()}${STREAM_CURSOR}`;
+
+    if (content !== this.sentText) {
+      if (!this.messageId) {
+        const result = await this.adapter.sendMessage(this.recipient, content);
+        this.messageId = result?.message_id || null;
+      } else {
+        await this.adapter.editMessage(this.recipient, this.messageId, content);
+      }
+      this.sentText = content;
+    }
+
+    if (isFinal && rest.length) {
+      await this.adapter.sendMessage(this.recipient, rest.join('\n'));
+    }
+  }
+}
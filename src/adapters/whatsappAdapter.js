@@ -1,9 +1,9 @@
-import { Adapter } from './adapter.js';
+import { Adapter, MessageStream } from './adapter.js';
 import ws from '@whiskeysockets/baileys';
 import { remove } from 'fs-extra';
 import P from 'pino';
 import { Boom } from '@hapi/boom';
-import { serialize, extractMessageContent, extractQuotedContext } from '../utils/serializer.js';
+import { serialize, decodeJid, downloadMedia, extractMessageContent, extractQuotedContext } from '../utils/serializer.js';
 
 /**
  * WhatsApp Adapter
@@ -20,6 +20,8 @@ export class WhatsAppAdapter extends Adapter {
       sessionDir: 'session',
       printQRInTerminal: true,
       logLevel: 'silent',
+      streamEditInterval: 2000, // Minimum milliseconds between edits of a streamed reply
+      downloadImages: true, // Download photos so vision models can see them
       ...config
     };
     
@@ -92,20 +94,76 @@ export class WhatsAppAdapter extends Adapter {
         if (serialized.isSelf) return;
         
         // Extract content
-        const content = extractMessageContent(serialized);
+        let content = extractMessageContent(serialized);
         const quotedContext = extractQuotedContext(serialized);
         
+        // Work out whether a group message is addressed to the bot
+        const botIds = this.getBotIds();
+        const mentionedJids = serialized.message?.[serialized.type]?.contextInfo?.mentionedJid || [];
+        const isMentioned = mentionedJids.some(jid => botIds.includes(decodeJid(jid)));
+        const isReplyToBot = !!serialized.quoted && botIds.includes(serialized.quoted.participant);
+        
+        if (isMentioned) {
+          content = this.stripBotMentions(content, botIds);
+        }
+        
+        // Download photos sent with the message or in the quoted message,
+        // and voice notes so they can be transcribed
+        const loadMedia = async () => {
+          const images = [];
+          if (this.config.downloadImages) {
+            if (serialized.type === 'imageMessage') {
+              const image = await this.downloadImage(serialized.message, serialized.download);
+              if (image) images.push(image);
+            }
+            if (quotedContext && serialized.quoted.mtype === 'imageMessage') {
+              const image = await this.downloadImage(serialized.quoted.message, serialized.quoted.download);
+              quotedContext.images = image ? [image] : [];
+            }
+          }
+          const audio = serialized.type === 'audioMessage' ? await this.downloadAudio(serialized) : null;
+          return { images, audio };
+        };
+        
+        // Group messages that don't mention or reply to the bot may not be for
+        // it, so their media is left to the message handler to download if needed
+        const hasMedia = ['imageMessage', 'audioMessage'].includes(serialized.type)
+          || serialized.quoted?.mtype === 'imageMessage';
+        const isAddressed = !serialized.isGroup || isMentioned || isReplyToBot;
+        const { images, audio } = isAddressed ? await loadMedia() : { images: [], audio: null };
+        
+        // Documents sent with the message or in the quoted message (e.g. for !import),
+        // downloaded only when a command asks for them
+        const document = this.getDocument(serialized.message);
+        if (quotedContext) {
+          quotedContext.document = this.getDocument(serialized.quoted.message);
+        }
+        
+        // Group members share one conversation keyed by the group JID,
+        // and replies go to the group rather than the participant's DM
+        const chatId = serialized.isGroup ? serialized.from : serialized.sender;
+        
         // Create context object
         const context = {
           quoted: quotedContext,
           platform: 'whatsapp',
+          chatId,
+          senderId: serialized.sender,
+          senderName: serialized.pushName || serialized.sender.split('@')[0],
+          isGroup: serialized.isGroup,
+          isMentioned,
+          isReplyToBot,
+          images,
+          audio,
+          loadMedia: !isAddressed && hasMedia ? loadMedia : null,
+          document,
           serialized
         };
         
-        // Call the message handler
-        if (this.messageHandler && content) {
+        // Call the message handler (photos without a caption and voice notes have no text)
+        if (this.messageHandler && (content || images.length || audio || context.loadMedia)) {
           console.log(`Received message from ${serialized.sender}: ${content}`);
-          this.messageHandler(serialized.sender, content, context);
+          this.messageHandler(chatId, content, context);
         }
       });
 
@@ -119,6 +177,84 @@ export class WhatsAppAdapter extends Adapter {
     }
   }
 
+  /**
+   * Download an image and encode it for the LLM
+   * @param {Object} message - Message content containing an imageMessage
+   * @param {Function} download - Serializer download function for the message
+   * @returns {Promise<Object|null>} - { mimeType, data (base64) } or null on failure
+   */
+  async downloadImage(message, download) {
+    try {
+      const buffer = await download();
+      return {
+        mimeType: message.imageMessage?.mimetype || 'image/jpeg',
+        data: buffer.toString('base64')
+      };
+    } catch (error) {
+      console.error('Error downloading WhatsApp image:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Download the audio of a voice note or audio message
+   * @param {Object} serialized - Serialized message with an audioMessage
+   * @returns {Promise<Object|null>} - { mimeType, data (Buffer), isVoiceNote } or null on failure
+   */
+  async downloadAudio(serialized) {
+    try {
+      const audioMessage = serialized.message.audioMessage;
+      return {
+        mimeType: audioMessage.mimetype || 'audio/ogg; codecs=opus',
+        data: await serialized.download(),
+        isVoiceNote: !!audioMessage.ptt
+      };
+    } catch (error) {
+      console.error('Error downloading WhatsApp audio:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Describe the document attached to a message
+   * @param {Object} message - Message content
+   * @returns {Object|null} - { fileName, mimeType, size, download() (Buffer) } or null if there is none
+   */
+  getDocument(message) {
+    // Documents sent with a caption are wrapped in a documentWithCaptionMessage
+    const documentMessage = message?.documentMessage || message?.documentWithCaptionMessage?.message?.documentMessage;
+    if (!documentMessage) return null;
+    
+    return {
+      fileName: documentMessage.fileName || 'document',
+      mimeType: documentMessage.mimetype || 'application/octet-stream',
+      size: Number(documentMessage.fileLength) || 0,
+      download: () => downloadMedia({ documentMessage })
+    };
+  }
+
+  /**
+   * Get the JIDs the bot's own account is known by (phone number and LID)
+   * @returns {Array} - Decoded JIDs
+   */
+  getBotIds() {
+    const user = this.client?.user || {};
+    return [user.id, user.lid].filter(Boolean).map(decodeJid);
+  }
+
+  /**
+   * Remove @mentions of the bot from message text
+   * @param {string} text - Message text
+   * @param {Array} botIds - The bot's JIDs
+   * @returns {string} - Text without the mentions
+   */
+  stripBotMentions(text, botIds) {
+    return botIds
+      .reduce((result, jid) => result.replace(new RegExp(`@${jid.split('@')[0]}\\b`, 'g'), ''), text)
+      .replace(/[ \t]{2,}/g, ' ')
+      .trim();
+  }
+
   /**
    * Send a message to a WhatsApp recipient
    * @param {string} recipient - Recipient JID
@@ -138,6 +274,77 @@ export class WhatsAppAdapter extends Adapter {
     }
   }
 
+  /**
+   * Send a voice note (push-to-talk audio) to a WhatsApp recipient
+   * @param {string} recipient - Recipient JID
+   * @param {Object} audio - Audio to send ({ mimeType, data (Buffer) }), Opus in Ogg
+   * @returns {Promise<Object>} - Message info
+   */
+  async sendAudio(recipient, audio) {
+    try {
+      console.log(`Sending voice note to ${recipient}`);
+      
+      const result = await this.client.sendMessage(recipient, {
+        audio: audio.data,
+        mimetype: audio.mimeType,
+        ptt: true
+      });
+      return Promise.resolve(result);
+    } catch (error) {
+      console.error('Error sending WhatsApp voice note:', error);
+      return Promise.reject(error);
+    }
+  }
+
+  /**
+   * Send a file as a document message
+   * @param {string} recipient - Recipient JID
+   * @param {Object} document - File to send ({ fileName, mimeType, data (Buffer), caption })
+   * @returns {Promise<Object>} - Message info
+   */
+  async sendDocument(recipient, document) {
+    try {
+      console.log(`Sending document ${document.fileName} to ${recipient}`);
+      
+      const result = await this.client.sendMessage(recipient, {
+        document: document.data,
+        mimetype: document.mimeType,
+        fileName: document.fileName,
+        ...(document.caption ? { caption: document.caption } : {})
+      });
+      return Promise.resolve(result);
+    } catch (error) {
+      console.error('Error sending WhatsApp document:', error);
+      return Promise.reject(error);
+    }
+  }
+
+  /**
+   * Edit a previously sent message
+   * @param {string} recipient - Recipient JID
+   * @param {Object} key - Key of the message to edit
+   * @param {string} message - New message content
+   * @returns {Promise<Object>} - Message info
+   */
+  async editMessage(recipient, key, message) {
+    try {
+      const result = await this.client.sendMessage(recipient, { text: message, edit: key });
+      return Promise.resolve(result);
+    } catch (error) {
+      console.error('Error editing WhatsApp message:', error);
+      return Promise.reject(error);
+    }
+  }
+
+  /**
+   * Create a stream that sends a reply and edits it in place as it grows
+   * @param {string} recipient - Recipient JID
+   * @returns {MessageStream} - WhatsApp message stream
+   */
+  createMessageStream(recipient) {
+    return new WhatsAppMessageStream(this, recipient, this.config.streamEditInterval);
+  }
+
   /**
    * Close the WhatsApp connection
    * @returns {Promise<void>}
@@ -150,4 +357,93 @@ export class WhatsAppAdapter extends Adapter {
     }
     return Promise.resolve();
   }
+}
+
+/**
+ * WhatsApp Message Stream
+ *
+ * Sends the first chunk of a reply as a new message, then edits that message
+ * at most once per interval until the reply is complete.
+ */
+class WhatsAppMessageStream extends MessageStream {
+  /**
+   * @param {WhatsAppAdapter} adapter - Adapter used to deliver the message
+   * @param {string} recipient - Recipient JID
+   * @param {number} interval - Minimum milliseconds between edits
+   */
+  constructor(adapter, recipient, interval) {
+    super(adapter, recipient);
+    this.interval = interval;
+    this.key = null;
+    this.editable = true; // False once a send returns no key to edit the message with
+    this.sentText = null;
+    this.lastUpdate = 0;
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Append a chunk of text, updating the WhatsApp message if the interval has passed
+   * @param {string} delta - New text
+   * @returns {Promise<void>}
+   */
+  async write(delta) {
+    this.text += delta;
+    
+    // Don't wait for the update so the completion keeps streaming
+    if (Date.now() - this.lastUpdate >= this.interval) {
+      this.queueUpdate(false);
+    }
+  }
+
+  /**
+   * Send the final text
+   * @param {string} finalText - Complete message text
+   * @returns {Promise<void>}
+   */
+  async end(finalText = this.text) {
+    this.text = finalText;
+    await this.queueUpdate(true);
+  }
+
+  /**
+   * Queue an update behind any in-flight send/edit so they stay in order
+   * @param {boolean} isFinal - Whether this is the last update
+   * @returns {Promise<void>}
+   */
+  queueUpdate(isFinal) {
+    this.lastUpdate = Date.now();
+    this.pending = this.pending
+      .then(() => this.update(isFinal))
+      .catch(error => console.error('Error updating streamed message:', error));
+    return this.pending;
+  }
+
+  /**
+   * Send or edit the WhatsApp message with the current text
+   * @param {boolean} isFinal - Whether this is the last update
+   * @returns {Promise<void>}
+   */
+  async update(isFinal) {
+    const text = this.text;
+    if (text === this.sentText) return;
+    
+    // Partial updates wait for some text; the final reply is sent even if
+    // it is empty, like a reply that isn't streamed
+    if (!isFinal && (!text.trim() || !this.editable)) return;
+    
+    // Show a cursor while the reply is still being generated
+    const content = isFinal ? text : `${text.trimEnd()} ▍`;
+    
+    if (this.key) {
+      await this.adapter.editMessage(this.recipient, this.key, content);
+    } else {
+      const result = await this.adapter.sendMessage(this.recipient, content);
+      this.key = result?.key || null;
+      // Without a key the message can't be edited, so the rest of the
+      // reply is sent as one message when it is complete
+      this.editable = !!this.key;
+    }
+    
+    this.sentText = isFinal ? text : content;
+  }
 }
\ No newline at end of file
@@ -0,0 +1,118 @@
+import { ROLES } from '../services/accessControl.js';
+
+/**
+ * WhatsApp group ids end in @g.us and Telegram group ids are negative;
+ * everything else is treated as a user
+ * @param {string} id - User or group id (optionally namespaced by platform)
+ * @returns {boolean}
+ */
+const isGroupId = (id) => id.toLowerCase().endsWith('@g.us') || /^(telegram:)?-\d+$/i.test(id);
+
+/**
+ * Resolve the id argument of a list command ("here" means the current chat)
+ * @param {string} id - Id argument
+ * @param {string} sender - Current conversation identifier
+ * @returns {string}
+ */
+const resolveTarget = (id, sender) => (id.toLowerCase() === 'here' ? sender : id);
+
+/**
+ * Build a subcommand that adds an id to or removes it from an allow/deny list
+ * @param {string} name - Subcommand name
+ * @param {string} list - List suffix, "Users"/"Groups" is picked from the id
+ * @param {boolean} present - Whether the id should be in the list
+ * @param {string} description - Help text
+ * @returns {Object} - Subcommand definition
+ */
+const listCommand = (name, list, present, description) => ({
+  name,
+  description,
+  args: [{ name: 'id', required: true, description: 'Phone number, user or group JID, or "here" for this chat' }],
+  execute: async ({ args, sender, context, reply, service }) => {
+    const target = resolveTarget(args.id, sender);
+    const isGroup = target === sender ? !!context.isGroup || isGroupId(target) : isGroupId(target);
+    const listName = `${list}${isGroup ? 'Groups' : 'Users'}`;
+    const result = service.access.updateList(listName, target, present);
+    await reply(result.message);
+  }
+});
+
+/**
+ * Access control commands
+ */
+export const adminCommands = [
+  {
+    name: 'admin',
+    description: 'Show roles and access lists',
+    role: 'admin',
+    execute: async ({ reply, service }) => {
+      const { access } = service;
+      const roles = [
+        ...access.config.owners.map(id => `- ${access.normalizeId(id)}: owner`),
+        ...access.config.admins
+          .filter(id => !access.getGrantedRoles()[access.normalizeId(id)])
+          .map(id => `- ${access.normalizeId(id)}: admin`),
+        ...Object.entries(access.getGrantedRoles()).map(([id, role]) => `- ${id}: ${role}`)
+      ];
+
+      let message = `Roles:\n${roles.length ? roles.join('\n') : '- (none)'}\n`;
+      ['allowedUsers', 'blockedUsers', 'allowedGroups', 'blockedGroups'].forEach(name => {
+        const list = access.getList(name);
+        message += `\n${name}: ${list.length ? list.join(', ') : '(empty)'}`;
+      });
+
+      await reply(message);
+    },
+    subcommands: [
+      {
+        name: 'grant',
+        description: 'Give a user a role',
+        role: 'owner',
+        args: [
+          { name: 'id', required: true, description: 'Phone number or user JID' },
+          { name: 'role', choices: ROLES.filter(role => role !== 'owner') }
+        ],
+        execute: async ({ args, reply, service }) => {
+          const result = service.access.grantRole(args.id, args.role || 'admin');
+          await reply(result.message);
+        }
+      },
+      {
+        name: 'revoke',
+        description: 'Take away a user\'s role',
+        role: 'owner',
+        args: [{ name: 'id', required: true }],
+        execute: async ({ args, reply, service }) => {
+          const result = service.access.grantRole(args.id, 'user');
+          await reply(result.message);
+        }
+      },
+      listCommand('allow', 'allowed', true, 'Add a user or group to the allow list'),
+      listCommand('disallow', 'allowed', false, 'Remove a user or group from the allow list'),
+      listCommand('block', 'blocked', true, 'Stop replying to a user or group'),
+      listCommand('unblock', 'blocked', false, 'Reply to a blocked user or group again')
+    ]
+  },
+  {
+    name: 'broadcast',
+    description: 'Send a message to every chat the bot knows',
+    role: 'admin',
+    args: [{ name: 'message', required: true, rest: true }],
+    execute: async ({ args, reply, service }) => {
+      const chats = service.getKnownChats()
+        .filter(chatId => service.access.isAllowed(chatId, isGroupId(chatId) ? chatId : null));
+
+      let sent = 0;
+      for (const chatId of chats) {
+        try {
+          await service.adapter.sendMessage(chatId, `📢 ${args.message}`);
+          sent++;
+        } catch (error) {
+          console.error(`Error broadcasting to ${chatId}:`, error);
+        }
+      }
+
+      await reply(`Broadcast sent to ${sent} of ${chats.length} chat(s).`);
+    }
+  }
+];
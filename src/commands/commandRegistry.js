@@ -0,0 +1,266 @@
+/**
+ * Command Registry
+ *
+ * Holds the chat commands the bot understands (e.g. !help, !provider set groq).
+ * Each command is a plain object:
+ *
+ *   {
+ *     name: 'provider',
+ *     aliases: ['p'],
+ *     description: 'Show or change the LLM provider',
+ *     role: 'user',                      // Minimum role required to run it
+ *     usage: '[list|set <id>]',          // Usage text (optional, generated from args by default)
+ *     args: [                            // Argument schema (optional)
+ *       { name: 'id', description: 'Provider id', required: true },
+ *       { name: 'count', type: 'number' },
+ *       { name: 'mode', choices: ['on', 'off'] },
+ *       { name: 'text', rest: true }     // Takes the rest of the message as-is
+ *     ],
+ *     subcommands: [ { name, aliases, description, role, args, execute } ],
+ *     execute: async (ctx) => {}         // Runs when no subcommand is given
+ *   }
+ *
+ * execute() receives a context with the parsed `args` object, the raw `text`
+ * after the command name, `reply(text)`, the `sender` and message `context`,
+ * the command `prefix`, and the `service` (MessageService) and `llmService`
+ * that are running the command.
+ */
+export class CommandRegistry {
+  constructor() {
+    this.commands = new Map();
+    this.aliases = new Map();
+  }
+
+  /**
+   * Register one or more commands
+   * @param {...Object} commands - Command definitions
+   * @returns {CommandRegistry} - This registry, for chaining
+   */
+  register(...commands) {
+    commands.forEach(command => {
+      if (!command.name || (!command.execute && !command.subcommands?.length)) {
+        throw new Error('A command needs a name and an execute function or subcommands');
+      }
+
+      const name = command.name.toLowerCase();
+      this.commands.set(name, { role: 'user', aliases: [], args: [], ...command, name });
+      (command.aliases || []).forEach(alias => this.aliases.set(alias.toLowerCase(), name));
+    });
+    return this;
+  }
+
+  /**
+   * Remove a command and its aliases
+   * @param {string} name - Command name
+   */
+  unregister(name) {
+    const command = this.get(name);
+    if (!command) return;
+
+    this.commands.delete(command.name);
+    command.aliases.forEach(alias => this.aliases.delete(alias.toLowerCase()));
+  }
+
+  /**
+   * Find a command by name or alias
+   * @param {string} name - Command name or alias
+   * @returns {Object|undefined} - Command definition
+   */
+  get(name) {
+    const key = name.toLowerCase();
+    return this.commands.get(key) || this.commands.get(this.aliases.get(key));
+  }
+
+  /**
+   * Get all registered commands
+   * @returns {Array} - Command definitions
+   */
+  list() {
+    return [...this.commands.values()];
+  }
+
+  /**
+   * Find a subcommand of a command by name or alias
+   * @param {Object} command - Command definition
+   * @param {string} name - Subcommand name or alias
+   * @returns {Object|undefined} - Subcommand definition
+   */
+  getSubcommand(command, name) {
+    const key = name.toLowerCase();
+    return (command.subcommands || []).find(sub =>
+      sub.name === key || (sub.aliases || []).includes(key)
+    );
+  }
+
+  /**
+   * Suggest known names that look like a mistyped one
+   * @param {string} name - Unknown name
+   * @param {Array} candidates - Known names (defaults to all commands, matching aliases too)
+   * @returns {Array} - Up to three suggestions, closest first
+   */
+  suggest(name, candidates) {
+    const input = name.toLowerCase();
+    const pool = candidates || [...this.commands.keys(), ...this.aliases.keys()];
+
+    const matches = pool
+      .map(candidate => ({ candidate, distance: editDistance(input, candidate) }))
+      .filter(({ candidate, distance }) =>
+        distance <= Math.max(1, Math.floor(candidate.length / 3)) ||
+        (input.length >= 2 && candidate.startsWith(input))
+      )
+      .sort((a, b) => a.distance - b.distance)
+      // Aliases are suggested as the command they belong to
+      .map(({ candidate }) => (candidates ? candidate : this.aliases.get(candidate) || candidate));
+
+    return [...new Set(matches)].slice(0, 3);
+  }
+
+  /**
+   * Parse arguments against an argument schema
+   * @param {Array} schema - Argument definitions
+   * @param {string} text - Raw argument text
+   * @returns {Object} - { args } on success, { error } if the arguments don't match
+   */
+  parseArgs(schema = [], text = '') {
+    const args = {};
+    let remaining = text.trim();
+
+    for (const arg of schema) {
+      if (!remaining) {
+        if (arg.required) {
+          return { error: `Missing argument: <${arg.name}>` };
+        }
+        continue;
+      }
+
+      // Rest arguments keep the original spacing and line breaks
+      let value;
+      if (arg.rest) {
+        value = remaining;
+        remaining = '';
+      } else {
+        [value] = remaining.split(/\s+/, 1);
+        remaining = remaining.substring(value.length).trim();
+      }
+
+      if (arg.choices && !arg.choices.includes(value.toLowerCase())) {
+        return { error: `Invalid ${arg.name}: ${value}. Available options are: ${arg.choices.join(', ')}` };
+      }
+
+      if (arg.type === 'number') {
+        const number = Number(value);
+        if (Number.isNaN(number)) {
+          return { error: `Invalid ${arg.name}: ${value} is not a number` };
+        }
+        args[arg.name] = number;
+      } else {
+        args[arg.name] = arg.choices ? value.toLowerCase() : value;
+      }
+    }
+
+    if (remaining) {
+      return { error: `Unexpected argument: ${remaining.split(/\s+/, 1)[0]}` };
+    }
+
+    return { args };
+  }
+
+  /**
+   * Format the arguments of a command or subcommand, e.g. "<id> [count]"
+   * @param {Array} schema - Argument definitions
+   * @returns {string}
+   */
+  formatArgs(schema = []) {
+    return schema
+      .map(arg => {
+        const label = arg.choices ? arg.choices.join('|') : arg.name;
+        return arg.required ? `<${label}>` : `[${label}]`;
+      })
+      .join(' ');
+  }
+
+  /**
+   * Format the usage lines of a command, one per way of calling it
+   * @param {Object} command - Command definition
+   * @param {string} prefix - Command prefix
+   * @param {Function} canRun - Returns whether the reader may use a role (all roles by default)
+   * @returns {Array} - Lines like "!provider set <id> - Switch provider"
+   */
+  formatUsage(command, prefix, canRun = () => true) {
+    const lines = [];
+
+    if (command.execute && canRun(command.role)) {
+      const args = command.usage ?? this.formatArgs(command.args);
+      lines.push(`${prefix}${command.name}${args ? ` ${args}` : ''} - ${command.description}`);
+    }
+
+    (command.subcommands || [])
+      .filter(sub => canRun(sub.role || command.role))
+      .forEach(sub => {
+        const args = sub.usage ?? this.formatArgs(sub.args);
+        lines.push(`${prefix}${command.name} ${sub.name}${args ? ` ${args}` : ''} - ${sub.description}`);
+      });
+
+    return lines;
+  }
+
+  /**
+   * Format detailed help for one command
+   * @param {Object} command - Command definition
+   * @param {string} prefix - Command prefix
+   * @param {Function} canRun - Returns whether the reader may use a role (all roles by default)
+   * @returns {string}
+   */
+  formatCommandHelp(command, prefix, canRun = () => true) {
+    let help = `${prefix}${command.name} - ${command.description}\n\nUsage:\n`;
+    help += this.formatUsage(command, prefix, canRun).join('\n');
+
+    const subcommands = (command.subcommands || []).filter(sub => canRun(sub.role || command.role));
+    const described = [...command.args, ...subcommands.flatMap(sub => sub.args || [])]
+      .filter(arg => arg.description);
+    if (described.length) {
+      help += '\n\nArguments:\n' + described.map(arg => `<${arg.name}> - ${arg.description}`).join('\n');
+    }
+
+    if (command.aliases.length) {
+      help += `\n\nAliases: ${command.aliases.map(alias => `${prefix}${alias}`).join(', ')}`;
+    }
+
+    if (command.role !== 'user') {
+      help += `\n\nRequires the ${command.role} role.`;
+    }
+
+    return help;
+  }
+}
+
+/**
+ * Edit distance between two strings (optimal string alignment), where
+ * swapping two adjacent characters counts as one edit, so "hlep" is one
+ * edit away from "help"
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Number of single-character edits and transpositions
+ */
+const editDistance = (a, b) => {
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+    }
+    beforePrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
@@ -0,0 +1,81 @@
+/**
+ * General commands: help, ping, ask, clear, system
+ */
+export const coreCommands = [
+  {
+    name: 'help',
+    aliases: ['h', '?'],
+    description: 'Show available commands, or details about one command',
+    args: [{ name: 'command', description: 'Command to show details for' }],
+    execute: async ({ args, sender, context, reply, service, prefix }) => {
+      const registry = service.commands;
+      const canRun = (role) => service.canRunRole(sender, context, role);
+
+      if (args.command) {
+        const name = args.command.startsWith(prefix) ? args.command.substring(prefix.length) : args.command;
+        const command = registry.get(name);
+        if (!command) {
+          await reply(service.formatUnknownCommand(name));
+          return;
+        }
+        if (!registry.formatUsage(command, prefix, canRun).length) {
+          await reply(`Sorry, ${prefix}${command.name} is only available to ${command.role}s.`);
+          return;
+        }
+        await reply(registry.formatCommandHelp(command, prefix, canRun));
+        return;
+      }
+
+      const lines = registry.list().flatMap(command => registry.formatUsage(command, prefix, canRun));
+      await reply(`Available commands:\n${lines.join('\n')}\n\nType ${prefix}help <command> for details.`);
+    }
+  },
+  {
+    name: 'ping',
+    description: 'Check if bot is responsive',
+    execute: async ({ reply }) => {
+      await reply('Pong! Bot is responsive.');
+    }
+  },
+  {
+    name: 'ask',
+    description: 'Ask the bot (works in every group trigger mode)',
+    args: [{ name: 'question', required: true, rest: true }],
+    execute: async ({ args, sender, context, service }) => {
+      await service.reply(sender, args.question, context);
+    }
+  },
+  {
+    name: 'clear',
+    description: 'Clear conversation history',
+    execute: async ({ sender, reply, service }) => {
+      const result = service.llmService.clearConversationHistory(sender);
+      await reply(result.message);
+    }
+  },
+  {
+    name: 'system',
+    description: 'Show or set the system prompt',
+    args: [{ name: 'prompt', rest: true, description: 'New system prompt' }],
+    execute: async ({ args, sender, context, reply, service }) => {
+      if (!args.prompt) {
+        // Show current system prompt
+        const settings = service.llmService.getUserSettings(sender);
+        await reply(`Current system prompt: "${settings.systemPrompt}"`);
+        return;
+      }
+
+      if (!service.canChangeChatSettings(sender, context)) {
+        await reply('Sorry, only admins can change the system prompt of a group.');
+        return;
+      }
+
+      // Update system prompt (a custom prompt replaces the chat's persona)
+      const result = service.llmService.updateSystemPrompt(sender, args.prompt);
+      if (result.success) {
+        service.llmService.getUserSettings(sender, { persona: null });
+      }
+      await reply(result.message);
+    }
+  }
+];
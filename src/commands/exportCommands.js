@@ -0,0 +1,75 @@
+import fs from 'fs-extra';
+import { EXPORT_FORMATS, renderConversation, parseConversationExport } from '../utils/conversationExport.js';
+
+/**
+ * Largest file !import accepts, in bytes
+ */
+const MAX_IMPORT_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Conversation export and import commands
+ */
+export const exportCommands = [
+  {
+    name: 'export',
+    description: 'Send this conversation as a file',
+    args: [{ name: 'format', choices: Object.keys(EXPORT_FORMATS), description: 'File format (default: md)' }],
+    execute: async ({ args, sender, reply, service }) => {
+      const { llmService } = service;
+      const messages = llmService.getConversationHistory(sender, 0);
+      const summary = llmService.getConversationSummary(sender);
+      if (!messages.length && !summary) {
+        await reply('There is no conversation to export yet.');
+        return;
+      }
+
+      const format = EXPORT_FORMATS[args.format || 'md'];
+      const date = new Date().toISOString().substring(0, 10);
+      await service.adapter.sendDocument(sender, {
+        fileName: `conversation-${date}.${format.extension}`,
+        mimeType: format.mimeType,
+        data: Buffer.from(renderConversation(messages, args.format || 'md', { chatId: sender, summary })),
+        caption: `${messages.length} message(s)`
+      });
+    }
+  },
+  {
+    name: 'import',
+    description: 'Restore a conversation from an exported JSON file (replaces this chat\'s history)',
+    args: [{ name: 'file', description: 'Path of the file (console only)' }],
+    execute: async ({ args, sender, context, reply, service, prefix }) => {
+      const document = context.document || context.quoted?.document;
+
+      let text;
+      if (document) {
+        if (document.size > MAX_IMPORT_SIZE) {
+          await reply('That file is too large to import.');
+          return;
+        }
+        text = (await document.download()).toString('utf8');
+      } else if (args.file && context.platform === 'console') {
+        // Console users run the bot themselves, so they can point at a local file
+        try {
+          text = await fs.readFile(args.file, 'utf8');
+        } catch (error) {
+          await reply(`Couldn't read ${args.file}: ${error.message}`);
+          return;
+        }
+      } else {
+        await reply(`Send a file made with "${prefix}export json" with the caption "${prefix}import", or reply "${prefix}import" to one.`);
+        return;
+      }
+
+      let conversation;
+      try {
+        conversation = parseConversationExport(text);
+      } catch (error) {
+        await reply(`Couldn't import the file: ${error.message}`);
+        return;
+      }
+
+      const result = service.llmService.restoreConversation(sender, conversation.messages, conversation.summary);
+      await reply(result.message);
+    }
+  }
+];
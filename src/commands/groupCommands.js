@@ -0,0 +1,47 @@
+/**
+ * When the bot answers non-command messages in a group chat
+ */
+export const TRIGGER_MODES = {
+  always: 'Reply to every message',
+  mention: 'Reply when the bot is @mentioned',
+  reply: 'Reply when someone replies to a bot message',
+  prefix: 'Reply only to commands, such as the ask command'
+};
+
+/**
+ * Group chat commands
+ */
+export const groupCommands = [
+  {
+    name: 'trigger',
+    description: 'Show or set when the bot replies in this group',
+    args: [{ name: 'mode', choices: Object.keys(TRIGGER_MODES) }],
+    execute: async ({ args, sender, context, reply, service, prefix }) => {
+      if (!context.isGroup) {
+        await reply('Trigger modes only apply to group chats.');
+        return;
+      }
+
+      // Default: show the current mode and the options
+      if (!args.mode) {
+        let message = `Current trigger mode: ${service.getTriggerMode(sender)}\n\nAvailable modes:\n`;
+
+        Object.entries(TRIGGER_MODES).forEach(([id, description]) => {
+          message += `- ${id}: ${description}\n`;
+        });
+
+        message += `\nUse "${prefix}trigger <mode>" to change it.`;
+        await reply(message);
+        return;
+      }
+
+      if (!service.canChangeChatSettings(sender, context)) {
+        await reply('Sorry, only admins can change the trigger mode of a group.');
+        return;
+      }
+
+      service.llmService.getUserSettings(sender, { triggerMode: args.mode });
+      await reply(`Trigger mode set to ${args.mode}: ${TRIGGER_MODES[args.mode]}`);
+    }
+  }
+];
@@ -0,0 +1,74 @@
+/**
+ * Most models shown by "!model list" at once
+ */
+const MAX_LISTED_MODELS = 40;
+
+/**
+ * Model selection commands
+ */
+export const modelCommands = [
+  {
+    name: 'model',
+    aliases: ['models'],
+    description: 'Show the model you are using',
+    execute: async ({ sender, reply, service }) => {
+      const current = service.llmService.getCurrentProvider(sender);
+      const suffix = current.isDefaultModel ? ' [default]' : '';
+      await reply(`Current model: ${current.model}${suffix} (Provider: ${current.name})`);
+    },
+    subcommands: [
+      {
+        name: 'list',
+        aliases: ['ls'],
+        description: 'List the models of your provider',
+        args: [{ name: 'filter', description: 'Only show models whose id contains this text' }],
+        execute: async ({ args, sender, reply, service, prefix }) => {
+          const current = service.llmService.getCurrentProvider(sender);
+          const { models, source } = await service.llmService.listModels(current.id);
+
+          const filter = args.filter?.toLowerCase();
+          const matching = filter ? models.filter(id => id.toLowerCase().includes(filter)) : models;
+          if (!matching.length) {
+            await reply(`${current.name} has no models matching "${args.filter}".`);
+            return;
+          }
+
+          let message = `Models of ${current.name}${filter ? ` matching "${args.filter}"` : ''}:\n`;
+          matching.slice(0, MAX_LISTED_MODELS).forEach(id => {
+            message += `- ${id}${id === current.model ? ' [current]' : ''}\n`;
+          });
+
+          if (matching.length > MAX_LISTED_MODELS) {
+            message += `…and ${matching.length - MAX_LISTED_MODELS} more. Use "${prefix}model list <filter>" to narrow it down.\n`;
+          }
+          if (source === 'configured') {
+            message += '\n(The provider didn\'t return a model list; showing the configured models.)\n';
+          }
+
+          message += `\nUse "${prefix}model set <id>" to switch models.`;
+          await reply(message);
+        }
+      },
+      {
+        name: 'set',
+        aliases: ['use'],
+        description: 'Switch to a different model of your provider',
+        role: 'admin',
+        args: [{ name: 'id', required: true, description: 'Model id from the model list' }],
+        execute: async ({ args, sender, reply, service }) => {
+          const result = await service.llmService.setUserModel(sender, args.id);
+          await reply(result.message);
+        }
+      },
+      {
+        name: 'reset',
+        description: 'Go back to the provider\'s default model',
+        role: 'admin',
+        execute: async ({ sender, reply, service }) => {
+          const result = await service.llmService.setUserModel(sender, null);
+          await reply(result.message);
+        }
+      }
+    ]
+  }
+];
@@ -0,0 +1,106 @@
+/**
+ * Shorten a prompt for listings
+ * @param {string} prompt - System prompt
+ * @param {number} length - Maximum length
+ * @returns {string}
+ */
+const preview = (prompt, length = 60) => (prompt.length > length ? `${prompt.substring(0, length)}…` : prompt);
+
+/**
+ * Persona commands
+ */
+export const personaCommands = [
+  {
+    name: 'persona',
+    aliases: ['personas'],
+    description: 'Show the persona of this chat, or manage personas',
+    execute: async ({ sender, reply, service, prefix }) => {
+      const { persona } = service.llmService.getUserSettings(sender);
+
+      const current = persona
+        ? `Current persona: ${persona}`
+        : 'No persona in use (this chat has a custom system prompt).';
+      await reply(`${current}\n\nUse "${prefix}persona list" to see the personas and "${prefix}persona use <name>" to switch.`);
+    },
+    subcommands: [
+      {
+        name: 'list',
+        description: 'List the built-in personas and your saved ones',
+        execute: async ({ sender, context, reply, service, prefix }) => {
+          const current = service.llmService.getUserSettings(sender).persona;
+          const personas = service.personas.listPersonas(context.senderId || sender);
+          const line = (persona) => `- ${persona.name}${persona.name === current ? ' [current]' : ''}: `
+            + (persona.description || preview(persona.prompt));
+
+          let message = 'Built-in personas:\n';
+          message += personas.filter(persona => persona.builtin).map(line).join('\n');
+
+          const saved = personas.filter(persona => !persona.builtin);
+          message += saved.length
+            ? `\n\nYour personas:\n${saved.map(line).join('\n')}`
+            : `\n\nYou have no saved personas. Use "${prefix}persona save <name>" to save this chat's system prompt.`;
+
+          await reply(message);
+        }
+      },
+      {
+        name: 'show',
+        description: 'Show the system prompt of a persona',
+        args: [{ name: 'name', description: 'Persona to show (defaults to the current one)' }],
+        execute: async ({ args, sender, context, reply, service }) => {
+          const name = args.name || service.llmService.getUserSettings(sender).persona;
+          if (!name) {
+            const { systemPrompt } = service.llmService.getUserSettings(sender);
+            await reply(`No persona in use. Current system prompt: "${systemPrompt}"`);
+            return;
+          }
+
+          const persona = service.personas.getPersona(context.senderId || sender, name);
+          if (!persona) {
+            await reply(`Unknown persona: ${name}.`);
+            return;
+          }
+
+          await reply(`${persona.name}${persona.builtin ? ' (built-in)' : ''}: "${persona.prompt}"`);
+        }
+      },
+      {
+        name: 'use',
+        description: 'Use a persona in this chat',
+        args: [{ name: 'name', required: true }],
+        execute: async ({ args, sender, context, reply, service }) => {
+          if (!service.canChangeChatSettings(sender, context)) {
+            await reply('Sorry, only admins can change the persona of a group.');
+            return;
+          }
+
+          const result = service.personas.usePersona(sender, context.senderId || sender, args.name);
+          await reply(result.message);
+        }
+      },
+      {
+        name: 'save',
+        description: 'Save a persona (the chat\'s current system prompt if none is given)',
+        args: [
+          { name: 'name', required: true },
+          { name: 'prompt', rest: true, description: 'System prompt of the persona' }
+        ],
+        execute: async ({ args, sender, context, reply, service }) => {
+          const prompt = args.prompt || service.llmService.getUserSettings(sender).systemPrompt;
+          const result = service.personas.savePersona(context.senderId || sender, args.name, prompt);
+          await reply(result.message);
+        }
+      },
+      {
+        name: 'delete',
+        aliases: ['remove'],
+        description: 'Delete one of your saved personas',
+        args: [{ name: 'name', required: true }],
+        execute: async ({ args, sender, context, reply, service }) => {
+          const result = service.personas.deletePersona(context.senderId || sender, args.name);
+          await reply(result.message);
+        }
+      }
+    ]
+  }
+];
@@ -0,0 +1,77 @@
+/**
+ * LLM provider commands
+ */
+export const providerCommands = [
+  {
+    name: 'provider',
+    aliases: ['providers'],
+    description: 'Show current LLM provider',
+    execute: async ({ sender, reply, service }) => {
+      const provider = service.llmService.getCurrentProvider(sender);
+      const suffix = provider.isDefault ? ' [default]' : '';
+      await reply(`Current provider: ${provider.name} (Model: ${provider.model})${suffix}`);
+    },
+    subcommands: [
+      {
+        name: 'list',
+        aliases: ['ls'],
+        description: 'List available providers',
+        execute: async ({ sender, reply, service, prefix }) => {
+          const providers = service.llmService.getAvailableProviders(sender);
+          let message = 'Available providers:\n';
+
+          providers.forEach(provider => {
+            const status = provider.isConfigured ? '✅' : '❌';
+            const vision = provider.vision ? ' 👁️' : '';
+            const marker = `${provider.isCurrent ? ' [current]' : ''}${provider.isDefault ? ' [default]' : ''}`;
+            message += `- ${provider.id}: ${provider.name} (${provider.model}) ${status}${vision}${marker}\n`;
+          });
+
+          message += `\n👁️ = can see images. Use "${prefix}provider set <id>" to switch providers.`;
+          await reply(message);
+        }
+      },
+      {
+        name: 'set',
+        aliases: ['use'],
+        description: 'Switch to a different provider',
+        role: 'admin',
+        args: [{ name: 'id', required: true, description: 'Provider id from the provider list' }],
+        execute: async ({ args, sender, reply, service }) => {
+          // Switch the provider for this user only
+          const result = service.llmService.setUserProvider(sender, args.id.toLowerCase());
+          await reply(result.message);
+        }
+      },
+      {
+        name: 'reset',
+        description: 'Go back to the default provider',
+        role: 'admin',
+        execute: async ({ sender, reply, service }) => {
+          service.llmService.getUserSettings(sender, { provider: null, model: null });
+          const provider = service.llmService.getCurrentProvider();
+          await reply(`Using the default provider: ${provider.name} (Model: ${provider.model})`);
+        }
+      },
+      {
+        name: 'reload',
+        description: 'Reload the provider catalog file',
+        role: 'owner',
+        execute: async ({ reply, service }) => {
+          const result = service.llmService.reloadProviders();
+          await reply(result.message);
+        }
+      },
+      {
+        name: 'default',
+        description: 'Change the default provider for everyone',
+        role: 'owner',
+        args: [{ name: 'id', required: true }],
+        execute: async ({ args, reply, service }) => {
+          const result = service.llmService.switchProvider(args.id.toLowerCase());
+          await reply(result.message);
+        }
+      }
+    ]
+  }
+];
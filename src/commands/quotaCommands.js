@@ -0,0 +1,38 @@
+/**
+ * Format a token count with thousands separators
+ * @param {number} tokens - Token count
+ * @returns {string}
+ */
+const formatTokens = (tokens) => tokens.toLocaleString('en-US');
+
+/**
+ * Format one quota period, e.g. "1,200 of 50,000 tokens used (48,800 left)"
+ * @param {Object} period - { used, limit, remaining }
+ * @returns {string}
+ */
+const formatPeriod = ({ used, limit, remaining }) => (limit
+  ? `${formatTokens(used)} of ${formatTokens(limit)} tokens used (${formatTokens(remaining)} left)`
+  : `${formatTokens(used)} tokens used (no limit)`);
+
+/**
+ * Quota commands
+ */
+export const quotaCommands = [
+  {
+    name: 'quota',
+    description: 'Show your remaining token budget',
+    execute: async ({ sender, context, reply, service }) => {
+      const userId = context.senderId || sender;
+      const status = service.quotas.getStatus(userId);
+
+      let message = `Today: ${formatPeriod(status.daily)}\nThis month: ${formatPeriod(status.monthly)}`;
+      if (service.isExemptFromLimits(sender, context)) {
+        message += '\n\nAs an admin, you are not held to these limits.';
+      } else if (status.messagesPerMinute) {
+        message += `\nRate limit: ${status.messagesPerMinute} message(s) per minute`;
+      }
+
+      await reply(message);
+    }
+  }
+];
@@ -0,0 +1,63 @@
+import { GENERATION_PARAMETERS } from '../services/llmService.js';
+
+/**
+ * Values of "!set" that go back to the default
+ */
+const RESET_VALUES = ['default', 'reset', 'off'];
+
+/**
+ * Settings commands
+ */
+export const settingsCommands = [
+  {
+    name: 'set',
+    description: 'Change a generation setting for this chat',
+    usage: `<${Object.keys(GENERATION_PARAMETERS).join('|')}> <value|default>`,
+    args: [
+      { name: 'setting', required: true, choices: Object.keys(GENERATION_PARAMETERS) },
+      { name: 'value', required: true, description: 'New value, or "default" to reset it' }
+    ],
+    execute: async ({ args, sender, context, reply, service }) => {
+      if (!service.canChangeChatSettings(sender, context)) {
+        await reply('Sorry, only admins can change the settings of a group.');
+        return;
+      }
+
+      const value = RESET_VALUES.includes(args.value.toLowerCase()) ? null : Number(args.value);
+      const result = service.llmService.setUserParameter(sender, args.setting, value);
+      await reply(result.message);
+    }
+  },
+  {
+    name: 'settings',
+    description: 'Show the settings of this chat',
+    execute: async ({ sender, context, reply, service, prefix }) => {
+      const { llmService } = service;
+      const settings = llmService.getUserSettings(sender);
+      const current = llmService.getCurrentProvider(sender);
+
+      const prompt = settings.systemPrompt || '';
+      let message = 'Settings:\n';
+      message += `- Provider: ${current.name}${current.isDefault ? ' [default]' : ''}\n`;
+      message += `- Model: ${current.model}${current.isDefaultModel ? ' [default]' : ''}\n`;
+      message += `- Persona: ${settings.persona || 'none (custom system prompt)'}\n`;
+      message += `- System prompt: "${prompt.length > 100 ? `${prompt.substring(0, 100)}…` : prompt}"\n`;
+
+      Object.keys(GENERATION_PARAMETERS).forEach(name => {
+        const range = llmService.getParameterRange(current.id, name);
+        const value = settings.parameters?.[name];
+        message += `- ${name}: ${value ?? 'default'} (${range.min}-${range.max})\n`;
+      });
+
+      if (context.isGroup) {
+        message += `- Trigger mode: ${service.getTriggerMode(sender)}\n`;
+      }
+      if (service.speechService.isSpeechEnabled()) {
+        message += `- Voice replies: ${settings.voiceReplies || service.config.voiceReplies}\n`;
+      }
+
+      message += `\nUse "${prefix}set <setting> <value>" to change temperature, top_p or max_tokens.`;
+      await reply(message);
+    }
+  }
+];
@@ -0,0 +1,29 @@
+/**
+ * Conversation summary commands
+ */
+export const summaryCommands = [
+  {
+    name: 'summary',
+    description: 'Show the summary of earlier conversation',
+    execute: async ({ sender, reply, service }) => {
+      const summary = service.llmService.getConversationSummary(sender);
+      if (!summary) {
+        await reply('No summary yet. Older messages are summarized once the conversation gets long.');
+        return;
+      }
+
+      await reply(`Summary of ${summary.messageCount} earlier message(s):\n\n${summary.text}`);
+    },
+    subcommands: [
+      {
+        name: 'reset',
+        aliases: ['clear'],
+        description: 'Forget the summary of earlier conversation',
+        execute: async ({ sender, reply, service }) => {
+          const result = service.llmService.clearConversationSummary(sender);
+          await reply(result.message);
+        }
+      }
+    ]
+  }
+];
@@ -0,0 +1,48 @@
+/**
+ * Conversation thread commands
+ */
+export const threadCommands = [
+  {
+    name: 'new',
+    description: 'Start a new conversation (the current one is kept)',
+    args: [{ name: 'title', rest: true, description: 'Title of the conversation (generated if not given)' }],
+    execute: async ({ args, sender, context, reply, service }) => {
+      const result = service.llmService.createThread(sender, args.title, context.senderId);
+      await reply(result.message);
+    }
+  },
+  {
+    name: 'threads',
+    aliases: ['conversations'],
+    description: 'List your conversations',
+    execute: async ({ sender, reply, service, prefix }) => {
+      const threads = service.llmService.listThreads(sender);
+
+      let message = 'Conversations:\n';
+      threads.forEach(thread => {
+        message += `${thread.id}. ${thread.title} (${thread.messageCount} message(s))${thread.isActive ? ' [current]' : ''}\n`;
+      });
+
+      message += `\nUse "${prefix}switch <number>" to continue one, or "${prefix}new [title]" to start another.`;
+      await reply(message);
+    }
+  },
+  {
+    name: 'switch',
+    description: 'Continue another conversation',
+    args: [{ name: 'number', required: true, type: 'number', description: 'Conversation number from !threads' }],
+    execute: async ({ args, sender, reply, service }) => {
+      const result = service.llmService.switchThread(sender, args.number);
+      await reply(result.message);
+    }
+  },
+  {
+    name: 'delete',
+    description: 'Delete a conversation and its history',
+    args: [{ name: 'number', required: true, type: 'number', description: 'Conversation number from !threads' }],
+    execute: async ({ args, sender, reply, service }) => {
+      const result = service.llmService.deleteThread(sender, args.number);
+      await reply(result.message);
+    }
+  }
+];
@@ -0,0 +1,85 @@
+/**
+ * Reporting periods accepted by the usage commands
+ */
+const PERIODS = ['today', 'month'];
+
+/**
+ * Format a cost in USD
+ * @param {number} cost - Cost in USD
+ * @returns {string}
+ */
+const formatCost = (cost) => `$${cost < 1 ? cost.toFixed(4) : cost.toFixed(2)}`;
+
+/**
+ * Format usage totals on one line
+ * @param {Object} totals - { requests, promptTokens, completionTokens, totalTokens, cost }
+ * @returns {string}
+ */
+const formatTotals = (totals) => `${totals.requests} request(s), ${totals.totalTokens.toLocaleString('en-US')} tokens `
+  + `(${totals.promptTokens.toLocaleString('en-US')} in / ${totals.completionTokens.toLocaleString('en-US')} out), `
+  + formatCost(totals.cost);
+
+/**
+ * Usage and cost commands
+ */
+export const usageCommands = [
+  {
+    name: 'usage',
+    description: 'Show your token usage and cost for today and this month',
+    execute: async ({ sender, context, reply, service }) => {
+      const userId = context.senderId || sender;
+      const today = service.usage.summarize(service.usage.getRecords('today', userId));
+      const month = service.usage.summarize(service.usage.getRecords('month', userId));
+
+      await reply(`Your usage:\nToday: ${formatTotals(today)}\nThis month: ${formatTotals(month)}`);
+    },
+    subcommands: [
+      {
+        name: 'all',
+        description: 'Show usage of all users by user and provider',
+        role: 'admin',
+        args: [{ name: 'period', choices: PERIODS }],
+        execute: async ({ args, reply, service }) => {
+          const period = args.period || 'month';
+          const records = service.usage.getRecords(period);
+          if (!records.length) {
+            await reply(`No usage recorded ${period === 'today' ? 'today' : 'this month'}.`);
+            return;
+          }
+
+          const byUser = service.usage.breakdown(records, record => record.userId);
+          const byProvider = service.usage.breakdown(records, record => `${record.provider}/${record.model}`);
+
+          let message = `Usage ${period === 'today' ? 'today' : 'this month'}: ${formatTotals(service.usage.summarize(records))}\n`;
+          message += `\nBy user:\n${byUser.map(row => `- ${row.key}: ${formatTotals(row)}`).join('\n')}\n`;
+          message += `\nBy provider:\n${byProvider.map(row => `- ${row.key}: ${formatTotals(row)}`).join('\n')}`;
+
+          await reply(message);
+        }
+      },
+      {
+        name: 'export',
+        aliases: ['csv'],
+        description: 'Export usage records as a CSV file',
+        role: 'admin',
+        args: [{ name: 'period', choices: PERIODS }],
+        execute: async ({ args, sender, reply, service }) => {
+          const period = args.period || 'month';
+          const records = service.usage.getRecords(period);
+          if (!records.length) {
+            await reply(`No usage recorded ${period === 'today' ? 'today' : 'this month'}.`);
+            return;
+          }
+
+          const date = new Date().toISOString().substring(0, period === 'today' ? 10 : 7);
+          await service.adapter.sendDocument(sender, {
+            fileName: `usage-${date}.csv`,
+            mimeType: 'text/csv',
+            data: Buffer.from(service.usage.toCsv(records)),
+            caption: `${records.length} usage record(s)`
+          });
+        }
+      }
+    ]
+  }
+];
@@ -0,0 +1,47 @@
+/**
+ * When replies are sent as voice notes
+ */
+export const VOICE_MODES = {
+  off: 'Always reply with text',
+  on: 'Always reply with a voice note',
+  auto: 'Reply with a voice note to voice notes'
+};
+
+/**
+ * Voice reply commands
+ */
+export const voiceCommands = [
+  {
+    name: 'voice',
+    description: 'Show or set voice note replies',
+    args: [{ name: 'mode', choices: Object.keys(VOICE_MODES) }],
+    execute: async ({ args, sender, context, reply, service, prefix }) => {
+      if (!service.speechService.isSpeechEnabled()) {
+        await reply('Voice replies are not available: text-to-speech is not configured.');
+        return;
+      }
+
+      // Default: show the current mode and the options
+      if (!args.mode) {
+        const current = service.llmService.getUserSettings(sender).voiceReplies || service.config.voiceReplies;
+        let message = `Current voice reply mode: ${current}\n\nAvailable modes:\n`;
+
+        Object.entries(VOICE_MODES).forEach(([id, description]) => {
+          message += `- ${id}: ${description}\n`;
+        });
+
+        message += `\nUse "${prefix}voice <mode>" to change it.`;
+        await reply(message);
+        return;
+      }
+
+      if (!service.canChangeChatSettings(sender, context)) {
+        await reply('Sorry, only admins can change the voice reply mode of a group.');
+        return;
+      }
+
+      service.llmService.getUserSettings(sender, { voiceReplies: args.mode });
+      await reply(`Voice reply mode set to ${args.mode}: ${VOICE_MODES[args.mode]}`);
+    }
+  }
+];
@@ -1,11 +1,17 @@
 import { ConsoleAdapter } from './adapters/consoleAdapter.js';
 import { WhatsAppAdapter } from './adapters/whatsappAdapter.js';
+import { HttpAdapter } from './adapters/httpAdapter.js';
+import { TelegramAdapter } from './adapters/telegramAdapter.js';
+import { MultiAdapter } from './adapters/multiAdapter.js';
 import { MessageService } from './services/messageService.js';
+import { OpenAiApiService } from './services/openAiApiService.js';
+import { JsonFileStore } from './stores/jsonFileStore.js';
+import { MemoryStore } from './stores/memoryStore.js';
 import dotenv from 'dotenv';
 
 /**
  * Main entry point for the application
- * Chooses the appropriate adapter based on command line arguments
+ * Chooses the platform adapters based on command line arguments
  */
 const main = async () => {
   try {
@@ -13,44 +19,97 @@ const main = async () => {
     dotenv.config();
     
     // Parse command line arguments
+    // Several platforms can run at once, e.g. --whatsapp --console
     const args = process.argv.slice(2);
     const useWhatsApp = args.includes('--whatsapp') || args.includes('-w');
+    const useTelegram = args.includes('--telegram') || args.includes('-t');
+    const useHttp = args.includes('--http');
+    const useConsole = args.includes('--console') || args.includes('-c') || (!useWhatsApp && !useTelegram && !useHttp);
     
-    // Create the appropriate adapter
-    const adapter = useWhatsApp 
-      ? new WhatsAppAdapter()
-      : new ConsoleAdapter();
+    // Create the adapter for each platform
+    const adapters = {};
+    if (useWhatsApp) adapters.whatsapp = new WhatsAppAdapter();
+    if (useTelegram) adapters.telegram = new TelegramAdapter();
+    if (useHttp) adapters.http = new HttpAdapter();
+    if (useConsole) adapters.console = new ConsoleAdapter();
+    
+    // Ids are namespaced by platform ("whatsapp:15550100@s.whatsapp.net"),
+    // even with a single platform so stored data keeps its ids when another
+    // platform is added, and replies are routed back through the adapter
+    // each message came from
+    const platforms = Object.keys(adapters);
+    const adapter = new MultiAdapter(adapters);
+    
+    // Storage backend for conversations and user settings
+    // (STORE_TYPE=memory disables persistence, e.g. for quick console tests)
+    const store = process.env.STORE_TYPE === 'memory'
+      ? new MemoryStore()
+      : new JsonFileStore({ dataDir: process.env.DATA_DIR || 'data' });
     
     // LLM service configuration
     const llmConfig = {
       // Configuration settings for the LLM service
       defaultProvider: process.env.DEFAULT_PROVIDER || 'openai',
       maxHistoryLength: 10,
-      contextLimit: 4000
+      contextLimit: parseInt(process.env.CONTEXT_LIMIT, 10) || 4000,
+      // Providers to fall back to, in order, when a request fails (default: all configured)
+      fallbackProviders: process.env.FALLBACK_PROVIDERS
+        ? process.env.FALLBACK_PROVIDERS.split(',').map(id => id.trim()).filter(Boolean)
+        : null,
+      store
     };
     
+    // Owners can run every command; the person at the console always can
+    const owners = (process.env.OWNERS || '').split(',').map(id => id.trim()).filter(Boolean);
+    if (useConsole) {
+      owners.push(MultiAdapter.toGlobalId('console', 'console-user'));
+    }
+    
     // Create and initialize the message service
-    // Here's the fix: create an instance of MessageService
     const messageService = new MessageService(adapter, { 
       llm: llmConfig,
+      // Ids in OWNERS, ADMINS etc. without a platform are on the first one
+      access: { owners, defaultPlatform: platforms[0] },
       prefixCommands: true,
-      commandPrefix: '!'
+      commandPrefix: '!',
+      groupTriggerMode: process.env.GROUP_TRIGGER_MODE || 'mention',
+      streamResponses: process.env.STREAM_RESPONSES !== 'false',
+      echoTranscripts: process.env.ECHO_TRANSCRIPTS === 'true',
+      voiceReplies: process.env.VOICE_REPLIES || 'off'
     });
     
+    // The HTTP server also speaks the OpenAI chat completions API
+    // (HTTP_OPENAI_API=false turns it off)
+    if (useHttp && process.env.HTTP_OPENAI_API !== 'false') {
+      new OpenAiApiService(messageService, { platform: 'http' }).register(adapters.http);
+    }
+    
     // Initialize the service
     await messageService.initialize();
     
-    // Handle graceful shutdown
-    process.on('SIGINT', async () => {
-      console.log('\nReceived SIGINT. Shutting down...');
-      await messageService.close();
-      process.exit(0);
+    // Reload the provider catalog file on SIGHUP (e.g. kill -HUP <pid>)
+    process.on('SIGHUP', () => {
+      const result = messageService.llmService.reloadProviders();
+      console.log(result.message);
     });
     
-    console.log(`LLM Bot started in ${useWhatsApp ? 'WhatsApp' : 'Console'} mode.`);
-    console.log(`Using ${llmConfig.mockResponses ? 'mock responses' : 'production LLM API'}.`);
+    // Handle graceful shutdown (Ctrl+C, or docker stop and process managers)
+    const shutdown = async (signal) => {
+      console.log(`\nReceived ${signal}. Shutting down...`);
+      try {
+        await messageService.close();
+        process.exit(0);
+      } catch (error) {
+        console.error('Error shutting down:', error);
+        process.exit(1);
+      }
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+    
+    console.log(`LLM Bot started in ${platforms.join(' + ')} mode.`);
     
-    if (!useWhatsApp) {
+    if (useConsole) {
       console.log('\nType your messages below. Type "exit" to quit.');
     }
   } catch (error) {
@@ -0,0 +1,226 @@
+import fs from 'fs-extra';
+
+/**
+ * Roles from least to most privileged
+ */
+export const ROLES = ['user', 'admin', 'owner'];
+
+/**
+ * Names of the allow/deny lists
+ */
+export const ACCESS_LISTS = ['allowedUsers', 'blockedUsers', 'allowedGroups', 'blockedGroups'];
+
+/**
+ * Ids namespaced by platform (see MultiAdapter) look like "whatsapp:15550100@s.whatsapp.net"
+ */
+const PLATFORM_PREFIX = /^([a-z]+):/;
+
+/**
+ * Split a comma-separated environment variable into ids
+ * @param {string} value - Environment variable value
+ * @returns {Array} - Ids
+ */
+const parseList = (value) => (value || '').split(',').map(id => id.trim()).filter(Boolean);
+
+/**
+ * Access Control
+ *
+ * Decides who may talk to the bot and which commands they may run.
+ * Everyone is a "user" unless they are an admin or owner. Owners and admins
+ * come from the configuration (env or an ACCESS_CONFIG JSON file) and can
+ * be extended at runtime with the !admin command; runtime changes are kept
+ * in the store's "access" collection so they survive restarts.
+ *
+ * Allow lists are off while empty. Once a user or group allow list has
+ * entries, only those users or groups get replies (admins and owners are
+ * always allowed). Block lists apply to everyone except owners.
+ */
+export class AccessControl {
+  /**
+   * @param {Object} config - Configuration options
+   * @param {Object} config.store - Store for runtime changes
+   */
+  constructor(config = {}) {
+    this.config = {
+      owners: parseList(process.env.OWNERS),
+      admins: parseList(process.env.ADMINS),
+      allowedUsers: parseList(process.env.ALLOWED_USERS),
+      blockedUsers: parseList(process.env.BLOCKED_USERS),
+      allowedGroups: parseList(process.env.ALLOWED_GROUPS),
+      blockedGroups: parseList(process.env.BLOCKED_GROUPS),
+      configFile: process.env.ACCESS_CONFIG, // Optional JSON file with the same keys
+      defaultPlatform: null, // Platform of ids without one, when ids are namespaced by platform
+      ...config
+    };
+    this.store = this.config.store;
+  }
+
+  /**
+   * Merge the access config file into the configuration, if there is one
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (!this.config.configFile) return;
+
+    const file = await fs.readJson(this.config.configFile);
+    ['owners', 'admins', ...ACCESS_LISTS].forEach(key => {
+      if (Array.isArray(file[key])) {
+        this.config[key] = [...new Set([...this.config[key], ...file[key].map(String)])];
+      }
+    });
+    console.log(`Loaded access config from ${this.config.configFile}`);
+  }
+
+  /**
+   * Normalize an id so phone numbers and JIDs compare equal
+   * ("+1 555-0100" and "@15550100" become "15550100@s.whatsapp.net").
+   * When ids are namespaced by platform, ids without a platform are taken
+   * to be on the default platform ("15550100" becomes
+   * "whatsapp:15550100@s.whatsapp.net" if that is WhatsApp).
+   * @param {string} id - User or group id
+   * @returns {string}
+   */
+  normalizeId(id) {
+    let value = String(id || '').trim().toLowerCase();
+
+    let platform = null;
+    if (this.config.defaultPlatform) {
+      const match = value.match(PLATFORM_PREFIX);
+      platform = match ? match[1] : this.config.defaultPlatform;
+      value = match ? value.substring(match[0].length) : value;
+    }
+
+    value = value.replace(/^@/, '');
+    // (negative numbers are Telegram group ids, not phone numbers)
+    if ((!platform || platform === 'whatsapp') && /^\+?\d[\d\s-]*$/.test(value)) {
+      value = `${value.replace(/\D/g, '')}@s.whatsapp.net`;
+    }
+    return platform ? `${platform}:${value}` : value;
+  }
+
+  /**
+   * Check whether an id is in a list of ids
+   * @param {Array} list - Ids
+   * @param {string} id - Id to look for
+   * @returns {boolean}
+   */
+  includes(list, id) {
+    const normalized = this.normalizeId(id);
+    return list.some(entry => this.normalizeId(entry) === normalized);
+  }
+
+  /**
+   * Get the roles granted at runtime
+   * @returns {Object} - Map of normalized id to role
+   */
+  getGrantedRoles() {
+    // Normalized on read, so roles granted before ids were namespaced still apply
+    const roles = this.store.get('access', 'roles') || {};
+    return Object.fromEntries(Object.entries(roles).map(([id, role]) => [this.normalizeId(id), role]));
+  }
+
+  /**
+   * Get an allow/deny list, combining configured and runtime entries
+   * @param {string} name - One of ACCESS_LISTS
+   * @returns {Array} - Ids
+   */
+  getList(name) {
+    const lists = this.store.get('access', 'lists') || {};
+    return [...new Set([...this.config[name], ...(lists[name] || [])])];
+  }
+
+  /**
+   * Get the role of a user
+   * @param {string} userId - User id
+   * @returns {string} - One of ROLES
+   */
+  getRole(userId) {
+    if (this.includes(this.config.owners, userId)) return 'owner';
+
+    const granted = this.getGrantedRoles()[this.normalizeId(userId)];
+    if (granted) return granted;
+
+    return this.includes(this.config.admins, userId) ? 'admin' : 'user';
+  }
+
+  /**
+   * Check whether a user has at least a role
+   * @param {string} userId - User id
+   * @param {string} role - Required role
+   * @returns {boolean}
+   */
+  hasRole(userId, role = 'user') {
+    return ROLES.indexOf(this.getRole(userId)) >= ROLES.indexOf(role);
+  }
+
+  /**
+   * Check whether the bot should respond to a message at all
+   * @param {string} userId - Id of the person who sent the message
+   * @param {string} groupId - Group id, for group messages
+   * @returns {boolean}
+   */
+  isAllowed(userId, groupId = null) {
+    const role = this.getRole(userId);
+    if (role === 'owner') return true;
+
+    if (this.includes(this.getList('blockedUsers'), userId)) return false;
+    if (groupId && this.includes(this.getList('blockedGroups'), groupId)) return false;
+    if (role === 'admin') return true;
+
+    if (groupId) {
+      const allowedGroups = this.getList('allowedGroups');
+      return !allowedGroups.length || this.includes(allowedGroups, groupId);
+    }
+
+    const allowedUsers = this.getList('allowedUsers');
+    return !allowedUsers.length || this.includes(allowedUsers, userId);
+  }
+
+  /**
+   * Grant a role to a user
+   * @param {string} userId - User id
+   * @param {string} role - One of ROLES
+   * @returns {Object} - Result with a message
+   */
+  grantRole(userId, role) {
+    if (!ROLES.includes(role)) {
+      return { success: false, message: `Unknown role: ${role}. Available roles are: ${ROLES.join(', ')}` };
+    }
+
+    const id = this.normalizeId(userId);
+    if (this.includes(this.config.owners, id)) {
+      return { success: false, message: `${id} is a configured owner; change OWNERS to modify this role.` };
+    }
+
+    const roles = { ...this.getGrantedRoles() };
+    if (role === 'user' && !this.includes(this.config.admins, id)) {
+      delete roles[id];
+    } else {
+      roles[id] = role;
+    }
+    this.store.set('access', 'roles', roles);
+
+    return { success: true, message: `${id} is now ${role === 'admin' ? 'an' : 'a'} ${role}.` };
+  }
+
+  /**
+   * Add an id to or remove it from an allow/deny list
+   * @param {string} name - One of ACCESS_LISTS
+   * @param {string} id - User or group id
+   * @param {boolean} present - Whether the id should be in the list
+   * @returns {Object} - Result with a message
+   */
+  updateList(name, id, present) {
+    const normalized = this.normalizeId(id);
+    if (!present && this.includes(this.config[name], normalized)) {
+      return { success: false, message: `${normalized} is in the configured ${name} list and can't be removed at runtime.` };
+    }
+
+    const lists = { ...(this.store.get('access', 'lists') || {}) };
+    const entries = (lists[name] || []).filter(entry => this.normalizeId(entry) !== normalized);
+    lists[name] = present ? [...entries, normalized] : entries;
+    this.store.set('access', 'lists', lists);
+
+    return { success: true, message: `${normalized} ${present ? 'added to' : 'removed from'} ${name}.` };
+  }
+}
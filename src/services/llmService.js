@@ -1,4 +1,58 @@
 import OpenAI from 'openai';
+import { MemoryStore } from '../stores/memoryStore.js';
+import { estimateTokens, estimateMessageTokens, truncateToTokens, IMAGE_TOKENS } from '../utils/tokens.js';
+import { ToolRegistry } from '../tools/toolRegistry.js';
+import { timeTools } from '../tools/timeTools.js';
+import { mathTools } from '../tools/mathTools.js';
+import { conversationTools } from '../tools/conversationTools.js';
+import { CircuitBreaker, isRetryableError, isProviderError, getBackoffDelay, sleep } from '../utils/retry.js';
+import { ProviderCatalog } from './providerCatalog.js';
+
+/**
+ * Generation parameters users can set, with the widest range any provider accepts.
+ * Providers can narrow a range with `parameterRanges`, e.g. { temperature: { max: 1 } }.
+ */
+export const GENERATION_PARAMETERS = {
+  temperature: { min: 0, max: 2 }, // Randomness: lower is more focused, higher is more creative
+  top_p: { min: 0, max: 1 }, // Only sample from the most likely tokens covering this probability
+  max_tokens: { min: 1, max: 32768, integer: true } // Maximum length of a reply in tokens
+};
+
+/**
+ * Shorten a thread title to fit on one line of a listing
+ * @param {string} text - Title or first message of the thread
+ * @returns {string}
+ */
+const truncateTitle = (text) => {
+  const line = text.replace(/\s+/g, ' ').trim();
+  return line.length > 50 ? `${line.substring(0, 50)}…` : line;
+};
+
+/**
+ * Check whether a history message is a user message or an assistant reply,
+ * rather than a tool call or tool result made while answering
+ * @param {Object} message - History message
+ * @returns {boolean}
+ */
+const isConversationTurn = (message) => message.role === 'user'
+  || (message.role === 'assistant' && !message.tool_calls?.length);
+
+/**
+ * Get the last turns of a history, with the tool calls and results made
+ * while answering them
+ * @param {Array} history - History messages, oldest first
+ * @param {number} limit - Number of turns to keep
+ * @returns {Array} - Messages from the first kept turn on
+ */
+const lastTurns = (history, limit) => {
+  let start = history.length;
+  let turns = 0;
+  while (start > 0 && turns < limit) {
+    start--;
+    if (isConversationTurn(history[start])) turns++;
+  }
+  return history.slice(start);
+};
 
 /**
  * LLM Service
@@ -13,61 +67,158 @@ export class LlmService {
       defaultProvider: 'openai',
       maxHistoryLength: 10,
       contextLimit: 4000, // Approximate token limit for context window
+      modelContextLimits: {}, // Per-model overrides of contextLimit, e.g. { 'gpt-4o': 128000 }
+      responseTokenReserve: 1000, // Part of the context window kept free for the reply
+      minTruncatedTokens: 100, // Smallest useful remainder when truncating an old message
+      summarize: true, // Summarize turns evicted from history into a running summary
+      summaryBatchSize: 6, // Number of old messages evicted and summarized at once
+      maxToolIterations: 5, // Maximum rounds of tool calls before the model must answer
+      fallbackProviders: null, // Provider ids to try in order when a request fails (null = all configured)
+      maxRetries: 2, // Retries per provider for rate limits, server errors and timeouts
+      retryBaseDelay: 500, // Backoff cap of the first retry in milliseconds (doubles per retry)
+      retryMaxDelay: 8000, // Longest wait between retries in milliseconds
+      requestTimeout: 60000, // Milliseconds before a request to a provider times out
+      circuitBreakerThreshold: 3, // Consecutive failed requests before a provider is skipped
+      circuitBreakerCooldown: 60000, // Milliseconds a failing provider is skipped for
+      providersFile: undefined, // JSON/YAML provider catalog (defaults to the PROVIDERS_FILE env variable)
+      modelCacheTtl: 10 * 60 * 1000, // How long model lists fetched from providers are reused
+      threadTitles: true, // Ask the LLM for a short title of each new conversation thread
       defaultSystemPrompt: 'You are a helpful assistant. Be concise and friendly in your responses.',
       ...config
     };
     
-    // Available LLM providers configuration
-    this.providers = {
+    // Built-in LLM providers; more can be added in the provider catalog file
+    this.builtinProviders = {
       openai: {
         name: 'OpenAI',
         apiKey: process.env.OPENAI_API_KEY,
         baseURL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
-        model: process.env.OPENAI_MODEL || 'gpt-4o'
+        model: process.env.OPENAI_MODEL || 'gpt-4o',
+        vision: true, // Whether the model accepts images
+        tools: true // Whether the model supports function calling
       },
       google: {
         name: 'Google AI',
         apiKey: process.env.GOOGLE_API_KEY,
         baseURL: process.env.GOOGLE_BASE_URL || 'https://generativelanguage.googleapis.com/v1beta/openai',
-        model: process.env.GOOGLE_MODEL || 'gemini-2.0-pro-exp-02-05'
+        model: process.env.GOOGLE_MODEL || 'gemini-2.0-pro-exp-02-05',
+        vision: true,
+        tools: true
       },
       groq: {
         name: 'Groq',
         apiKey: process.env.GROQ_API_KEY,
         baseURL: process.env.GROQ_BASE_URL || 'https://api.groq.com/openai/v1',
-        model: process.env.GROQ_MODEL || 'deepseek-r1-distill-llama-70b'
+        model: process.env.GROQ_MODEL || 'deepseek-r1-distill-llama-70b',
+        vision: false,
+        tools: true
       },
       claude: {
         name: 'Claude',
         apiKey: process.env.CLAUDE_API_KEY,
         baseURL: process.env.CLAUDE_BASE_URL || 'https://claude.kinzerfest.workers.dev/v1',
-        model: process.env.CLAUDE_MODEL || 'claude-3-7-sonnet-latest'
+        model: process.env.CLAUDE_MODEL || 'claude-3-7-sonnet-latest',
+        vision: true,
+        tools: true,
+        parameterRanges: { temperature: { max: 1 } }
       },
       openrouter: {
         name: 'OpenRouter',
         apiKey: process.env.OPENROUTER_API_KEY,
         baseURL: process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1',
-        model: process.env.OPENROUTER_MODEL || 'deepseek/deepseek-r1:free'
+        model: process.env.OPENROUTER_MODEL || 'deepseek/deepseek-r1:free',
+        vision: false,
+        tools: false
       }
     };
     
-    // Initialize the OpenAI client with the default provider
+    // Optional per-provider overrides, e.g. GROQ_CONTEXT_LIMIT=8000, OPENROUTER_VISION=true, GROQ_TOOLS=false
+    Object.entries(this.builtinProviders).forEach(([key, provider]) => {
+      const limit = parseInt(process.env[`${key.toUpperCase()}_CONTEXT_LIMIT`], 10);
+      if (limit > 0) {
+        provider.contextLimit = limit;
+      }
+      
+      ['vision', 'tools'].forEach(capability => {
+        const value = process.env[`${key.toUpperCase()}_${capability.toUpperCase()}`];
+        if (value !== undefined) {
+          provider[capability] = value === 'true';
+        }
+      });
+    });
+    
+    // Merge the catalog file into the built-ins (throws if the file is invalid)
+    this.catalog = new ProviderCatalog(this.config.providersFile ? { file: this.config.providersFile } : {});
+    this.providers = this.catalog.merge(this.builtinProviders, this.catalog.read());
+    
+    // Bot-wide default provider, used by users who haven't picked one
     this.currentProvider = this.config.defaultProvider;
-    this.initializeClient();
     
-    // In-memory conversation history for context
-    this.conversations = new Map();
-    this.userSettings = new Map();
+    // Pool of OpenAI clients keyed by provider id, created on first use
+    this.clients = new Map();
+    
+    // Model lists fetched from each provider's /models endpoint
+    this.modelCache = new Map();
+    
+    // Providers that keep failing are skipped for a while
+    this.circuitBreaker = new CircuitBreaker({
+      threshold: this.config.circuitBreakerThreshold,
+      cooldown: this.config.circuitBreakerCooldown
+    });
+    
+    // Fail fast if the default provider can't be used
+    this.getClient(this.currentProvider);
+    
+    // Storage backend for conversation history and user settings
+    this.store = this.config.store || new MemoryStore();
+    
+    // Pending summarization per conversation, so updates to one summary never overlap
+    this.summaryQueue = new Map();
+    
+    // Threads whose title is being generated, so each is only titled once
+    this.titleQueue = new Map();
+    
+    // Tools the model can call; other modules can register more
+    this.tools = this.config.toolRegistry || new ToolRegistry().register(
+      ...timeTools,
+      ...mathTools,
+      ...conversationTools
+    );
+    
+    // Called with a usage record after every completion (see addUsageListener)
+    this.usageListeners = [];
+  }
+
+  /**
+   * Load persisted conversations and settings from the store
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    await this.store.load();
+  }
+
+  /**
+   * Flush pending writes and close the store
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.store.close();
   }
 
   /**
-   * Initialize the OpenAI client with the current provider settings
+   * Get the OpenAI client for a provider, creating it if needed
+   * @param {string} providerId - Provider identifier
+   * @returns {OpenAI} - Client configured for the provider
    */
-  initializeClient() {
-    const provider = this.providers[this.currentProvider];
+  getClient(providerId) {
+    if (this.clients.has(providerId)) {
+      return this.clients.get(providerId);
+    }
+    
+    const provider = this.providers[providerId];
     
     if (!provider) {
-      throw new Error(`Unknown provider: ${this.currentProvider}`);
+      throw new Error(`Unknown provider: ${providerId}`);
     }
     
     if (!provider.apiKey) {
@@ -77,19 +228,55 @@ export class LlmService {
     console.log(`Initializing LLM client with provider: ${provider.name}`);
     
     // Create a new OpenAI client with the provider's configuration
-    this.client = new OpenAI({
+    const client = new OpenAI({
       apiKey: provider.apiKey,
       baseURL: provider.baseURL,
+      maxRetries: 0, // Retries are handled by requestWithRetries
+      timeout: this.config.requestTimeout,
       dangerouslyAllowBrowser: true // For testing purposes
     });
+    
+    this.clients.set(providerId, client);
+    return client;
   }
 
   /**
-   * Switch to a different LLM provider
-   * @param {string} providerName - Name of the provider to switch to
-   * @returns {Object} - Result of the switch operation
+   * Reload the provider catalog file without restarting
+   * The current providers are kept if the file is invalid.
+   * @returns {Object} - Result of the reload
    */
-  switchProvider(providerName) {
+  reloadProviders() {
+    let providers;
+    try {
+      providers = this.catalog.merge(this.builtinProviders, this.catalog.read());
+    } catch (error) {
+      console.error('Error reloading providers:', error);
+      return { success: false, message: error.message };
+    }
+    
+    if (!providers[this.currentProvider]) {
+      return {
+        success: false,
+        message: `The default provider ${this.currentProvider} is missing from the new catalog; keeping the current providers.`
+      };
+    }
+    
+    this.providers = providers;
+    
+    // Clients are recreated on next use with the new base URLs and keys
+    this.clients.clear();
+    this.modelCache.clear();
+    
+    console.log(`Reloaded ${Object.keys(providers).length} provider(s)`);
+    return { success: true, message: `Reloaded ${Object.keys(providers).length} provider(s).` };
+  }
+
+  /**
+   * Check that a provider exists and is configured
+   * @param {string} providerName - Name of the provider
+   * @returns {Object} - Result of the check
+   */
+  validateProvider(providerName) {
     if (!this.providers[providerName]) {
       return {
         success: false,
@@ -106,9 +293,45 @@ export class LlmService {
       };
     }
     
-    // Switch the provider
+    return { success: true };
+  }
+
+  /**
+   * Switch the bot-wide default provider
+   * @param {string} providerName - Name of the provider to switch to
+   * @returns {Object} - Result of the switch operation
+   */
+  switchProvider(providerName) {
+    const validation = this.validateProvider(providerName);
+    if (!validation.success) {
+      return validation;
+    }
+    
+    const provider = this.providers[providerName];
     this.currentProvider = providerName;
-    this.initializeClient();
+    
+    return {
+      success: true,
+      message: `Default provider switched to ${provider.name} using model: ${provider.model}`
+    };
+  }
+
+  /**
+   * Switch the provider used for a single user
+   * @param {string} userId - User identifier
+   * @param {string} providerName - Name of the provider to switch to
+   * @returns {Object} - Result of the switch operation
+   */
+  setUserProvider(userId, providerName) {
+    const validation = this.validateProvider(providerName);
+    if (!validation.success) {
+      return validation;
+    }
+    
+    const provider = this.providers[providerName];
+    
+    // A model picked for the previous provider doesn't carry over
+    this.getUserSettings(userId, { provider: providerName, model: null });
     
     return {
       success: true,
@@ -117,27 +340,352 @@ export class LlmService {
   }
 
   /**
-   * Get the current provider configuration
+   * Get the models a provider offers, from its /models endpoint if it has one
+   * Lists are cached; if the endpoint fails, the models from the catalog are used.
+   * @param {string} providerId - Provider identifier
+   * @param {Object} options - Options
+   * @param {boolean} options.refresh - Ignore the cache
+   * @returns {Promise<Object>} - { models: [ids], source: 'live' | 'cache' | 'configured' }
+   */
+  async listModels(providerId, { refresh = false } = {}) {
+    const provider = this.providers[providerId];
+    const configured = provider.models.map(model => model.id);
+    
+    const cached = this.modelCache.get(providerId);
+    if (!refresh && cached && Date.now() - cached.fetchedAt < this.config.modelCacheTtl) {
+      return { models: cached.models, source: 'cache' };
+    }
+    
+    try {
+      const live = [];
+      for await (const model of this.getClient(providerId).models.list()) {
+        live.push(model.id);
+      }
+      if (!live.length) {
+        throw new Error('empty model list');
+      }
+      
+      // Keep configured models first, even if the endpoint doesn't list them
+      const models = [...new Set([...configured, ...live.sort()])];
+      this.modelCache.set(providerId, { models, fetchedAt: Date.now() });
+      return { models, source: 'live' };
+    } catch (error) {
+      console.warn(`Couldn't list models of ${provider.name}, using the configured ones: ${error.message}`);
+      return { models: configured, source: 'configured' };
+    }
+  }
+
+  /**
+   * Switch the model used for a single user (within their current provider)
+   * @param {string} userId - User identifier
+   * @param {string} modelId - Model to use, or null for the provider's default
+   * @returns {Promise<Object>} - Result of the switch operation
+   */
+  async setUserModel(userId, modelId) {
+    const { providerId } = this.getUserSelection(this.getUserSettings(userId));
+    const provider = this.providers[providerId];
+    
+    if (!modelId) {
+      this.getUserSettings(userId, { model: null });
+      return { success: true, message: `Using the default model of ${provider.name}: ${provider.model}` };
+    }
+    
+    // Model ids are case-sensitive, but accept a different case if it is unambiguous
+    const { models, source } = await this.listModels(providerId);
+    const sameIgnoringCase = models.filter(id => id.toLowerCase() === modelId.toLowerCase());
+    const match = models.includes(modelId) ? modelId : (sameIgnoringCase.length === 1 ? sameIgnoringCase[0] : null);
+    
+    if (!match && source !== 'configured') {
+      const similar = models.filter(id => id.toLowerCase().includes(modelId.toLowerCase())).slice(0, 5);
+      return {
+        success: false,
+        message: `${provider.name} has no model ${modelId}.`
+          + (similar.length ? ` Did you mean: ${similar.join(', ')}?` : '')
+      };
+    }
+    
+    // Without a live list, trust the user with models that aren't in the catalog
+    const model = match || modelId;
+    this.getUserSettings(userId, { provider: providerId, model });
+    
+    return { success: true, message: `Switched to ${provider.name} using model: ${model}` };
+  }
+
+  /**
+   * Get the accepted range of a generation parameter for a provider
+   * @param {string} providerId - Provider identifier
+   * @param {string} name - Parameter name (see GENERATION_PARAMETERS)
+   * @returns {Object} - { min, max, integer }
+   */
+  getParameterRange(providerId, name) {
+    return {
+      ...GENERATION_PARAMETERS[name],
+      ...this.providers[providerId]?.parameterRanges?.[name]
+    };
+  }
+
+  /**
+   * Set or clear a generation parameter for a user
+   * @param {string} userId - User identifier
+   * @param {string} name - Parameter name (see GENERATION_PARAMETERS)
+   * @param {number|null} value - New value, or null to use the default again
+   * @returns {Object} - Result of the operation
+   */
+  setUserParameter(userId, name, value) {
+    if (!GENERATION_PARAMETERS[name]) {
+      return {
+        success: false,
+        message: `Unknown setting: ${name}. Available settings: ${Object.keys(GENERATION_PARAMETERS).join(', ')}`
+      };
+    }
+    
+    const settings = this.getUserSettings(userId);
+    const parameters = { ...settings.parameters };
+    
+    if (value === null) {
+      delete parameters[name];
+      this.getUserSettings(userId, { parameters });
+      return { success: true, message: `${name} reset to the default.` };
+    }
+    
+    const { providerId } = this.getUserSelection(settings);
+    const range = this.getParameterRange(providerId, name);
+    
+    if (!Number.isFinite(value) || (range.integer && !Number.isInteger(value))) {
+      return { success: false, message: `${name} must be ${range.integer ? 'a whole number' : 'a number'}.` };
+    }
+    
+    if (value < range.min || value > range.max) {
+      return {
+        success: false,
+        message: `${name} must be between ${range.min} and ${range.max} for ${this.providers[providerId].name}.`
+      };
+    }
+    
+    parameters[name] = value;
+    this.getUserSettings(userId, { parameters });
+    return { success: true, message: `${name} set to ${value}.` };
+  }
+
+  /**
+   * Bring generation parameters into a provider's ranges, e.g. when a request
+   * made for one provider falls over to another with narrower limits
+   * @param {string} providerId - Provider identifier
+   * @param {Object} request - Completion request parameters
+   * @returns {Object} - Request with clamped parameters
+   */
+  clampParameters(providerId, request) {
+    const clamped = { ...request };
+    
+    Object.keys(GENERATION_PARAMETERS)
+      .filter(name => typeof clamped[name] === 'number')
+      .forEach(name => {
+        const { min, max } = this.getParameterRange(providerId, name);
+        clamped[name] = Math.min(Math.max(clamped[name], min), max);
+      });
+    
+    return clamped;
+  }
+
+  /**
+   * Work out which provider and model a user's settings select
+   * Falls back to the default provider if the user's choice is unusable.
+   * @param {Object} settings - User settings
+   * @returns {Object} - { providerId, model }
+   */
+  getUserSelection(settings = {}) {
+    let providerId = settings.provider || this.currentProvider;
+    
+    const validation = this.validateProvider(providerId);
+    if (!validation.success) {
+      console.warn(`Falling back to default provider: ${validation.message}`);
+      providerId = this.currentProvider;
+    }
+    
+    // A chosen model only applies to the provider it was chosen for
+    const usesOwnProvider = providerId === (settings.provider || this.currentProvider);
+    const model = (usesOwnProvider && settings.model) || this.providers[providerId].model;
+    
+    return { providerId, model };
+  }
+
+  /**
+   * Resolve the provider, model and client to use for a user's request
+   * @param {Object} settings - User settings
+   * @returns {Object} - Resolved provider (see resolveModel)
+   */
+  resolveProvider(settings = {}) {
+    const { providerId, model } = this.getUserSelection(settings);
+    return this.resolveModel(providerId, model);
+  }
+
+  /**
+   * Resolve a provider and one of its models
+   * @param {string} providerId - Provider identifier
+   * @param {string} model - Model name
+   * @returns {Object} - { id, provider, model, modelInfo, contextLimit, client }
+   */
+  resolveModel(providerId, model) {
+    return {
+      id: providerId,
+      provider: this.providers[providerId],
+      model,
+      modelInfo: this.getModelInfo(providerId, model),
+      contextLimit: this.getContextLimit(providerId, model),
+      client: this.getClient(providerId)
+    };
+  }
+
+  /**
+   * Get the capabilities and settings of a model, falling back to the provider's
+   * @param {string} providerId - Provider identifier
+   * @param {string} model - Model name
+   * @returns {Object} - { vision, tools, streaming, contextLimit, parameters }
+   */
+  getModelInfo(providerId, model) {
+    const provider = this.providers[providerId] || {};
+    const entry = (provider.models || []).find(candidate => candidate.id === model) || {};
+    
+    return {
+      vision: !!(entry.vision ?? provider.vision),
+      tools: !!(entry.tools ?? provider.tools),
+      streaming: (entry.streaming ?? provider.streaming) !== false,
+      contextLimit: entry.contextLimit || provider.contextLimit,
+      parameters: { ...provider.parameters, ...entry.parameters }
+    };
+  }
+
+  /**
+   * Get the context window size (in tokens) for a provider and model
+   * @param {string} providerId - Provider identifier
+   * @param {string} model - Model name
+   * @returns {number} - Token limit
+   */
+  getContextLimit(providerId, model) {
+    return this.config.modelContextLimits[model]
+      || this.getModelInfo(providerId, model).contextLimit
+      || this.config.contextLimit;
+  }
+
+  /**
+   * Get the providers to try for a request, in order: the user's provider,
+   * then the fallback providers that are configured and can handle the request
+   * @param {Object} settings - User settings
+   * @param {Object} requirements - Capabilities the request needs
+   * @param {boolean} requirements.vision - The request contains images
+   * @param {boolean} requirements.tools - The request offers tools or contains tool calls or results
+   * @returns {Array} - Resolved providers (see resolveModel)
+   */
+  getProviderChain(settings = {}, requirements = {}) {
+    const primary = this.resolveProvider(settings);
+    const fallbackIds = this.config.fallbackProviders || Object.keys(this.providers);
+    
+    const fallbacks = fallbackIds
+      .filter(id => id !== primary.id && this.providers[id]?.apiKey)
+      .map(id => this.resolveModel(id, this.providers[id].model))
+      .filter(entry => !requirements.vision || entry.modelInfo.vision)
+      .filter(entry => !requirements.tools || entry.modelInfo.tools);
+    
+    return [primary, ...fallbacks];
+  }
+
+  /**
+   * Get the provider configuration in effect for a user
+   * @param {string} userId - User identifier (optional, defaults to the bot-wide provider)
    * @returns {Object} - Current provider config
    */
-  getCurrentProvider() {
+  getCurrentProvider(userId = null) {
+    const settings = userId ? this.getUserSettings(userId) : {};
+    const { providerId, model } = this.getUserSelection(settings);
+    const provider = this.providers[providerId];
+    
     return {
-      name: this.providers[this.currentProvider].name,
-      model: this.providers[this.currentProvider].model
+      id: providerId,
+      name: provider.name,
+      model,
+      isDefault: providerId === this.currentProvider,
+      isDefaultModel: model === provider.model
     };
   }
 
   /**
    * Get a list of available providers
+   * @param {string} userId - User identifier (optional); their provider is marked
+   *   as current and shows the model they picked
    * @returns {Array} - List of provider information
    */
-  getAvailableProviders() {
-    return Object.entries(this.providers).map(([key, provider]) => ({
-      id: key,
-      name: provider.name,
-      model: provider.model,
-      isConfigured: !!provider.apiKey
-    }));
+  getAvailableProviders(userId = null) {
+    const current = userId ? this.getCurrentProvider(userId) : null;
+    
+    return Object.entries(this.providers).map(([key, provider]) => {
+      const model = current?.id === key ? current.model : provider.model;
+      
+      return {
+        id: key,
+        name: provider.name,
+        model,
+        models: provider.models.map(entry => entry.id),
+        ...this.getModelInfo(key, model),
+        isConfigured: !!provider.apiKey,
+        isDefault: key === this.currentProvider,
+        isCurrent: current?.id === key
+      };
+    });
+  }
+
+  /**
+   * Register a function to be called with the token usage of every completion
+   *
+   * Records look like { chatId, userId, provider, model, type, promptTokens,
+   * completionTokens, totalTokens, estimated, latencyMs, timestamp }, where
+   * type is "chat", "summary" or "title" and estimated is true if the provider didn't
+   * report usage and the tokens were counted locally.
+   * @param {Function} listener - Usage listener
+   */
+  addUsageListener(listener) {
+    this.usageListeners.push(listener);
+  }
+
+  /**
+   * Report the token usage of a completion to the usage listeners
+   * @param {Object} details - What the completion was for
+   * @param {string} details.chatId - Conversation identifier
+   * @param {string} details.userId - Person who caused the completion (defaults to chatId)
+   * @param {string} details.provider - Provider id
+   * @param {string} details.model - Model name
+   * @param {string} details.type - "chat", "summary" or "title"
+   * @param {Array} details.messages - Messages sent, for estimating missing usage
+   * @param {Object} details.reply - Assistant message with the provider's usage (if any)
+   * @param {number} details.latencyMs - Time the completion took
+   */
+  recordUsage({ chatId, userId, provider, model, type, messages, reply, latencyMs }) {
+    const usage = reply.usage;
+    const promptTokens = usage?.prompt_tokens
+      ?? messages.reduce((total, message) => total + estimateMessageTokens(message), 0);
+    const completionTokens = usage?.completion_tokens
+      ?? estimateTokens(reply.content) + (reply.tool_calls?.length ? estimateTokens(JSON.stringify(reply.tool_calls)) : 0);
+    
+    const record = {
+      chatId,
+      userId: userId || chatId,
+      provider,
+      model,
+      type,
+      promptTokens,
+      completionTokens,
+      totalTokens: usage?.total_tokens ?? promptTokens + completionTokens,
+      estimated: !usage,
+      latencyMs,
+      timestamp: Date.now()
+    };
+    
+    this.usageListeners.forEach(listener => {
+      try {
+        listener(record);
+      } catch (error) {
+        console.error('Error in usage listener:', error);
+      }
+    });
   }
 
   /**
@@ -148,20 +696,20 @@ export class LlmService {
    */
   getUserSettings(userId, settings = null) {
     // Initialize default settings if they don't exist
-    if (!this.userSettings.has(userId)) {
-      this.userSettings.set(userId, {
+    if (!this.store.has('userSettings', userId)) {
+      this.store.set('userSettings', userId, {
         systemPrompt: this.config.defaultSystemPrompt,
-        provider: this.currentProvider
+        provider: null // null means "use the bot-wide default provider"
       });
     }
     
     // Update settings if provided
     if (settings) {
-      const currentSettings = this.userSettings.get(userId);
-      this.userSettings.set(userId, { ...currentSettings, ...settings });
+      const currentSettings = this.store.get('userSettings', userId);
+      this.store.set('userSettings', userId, { ...currentSettings, ...settings });
     }
     
-    return this.userSettings.get(userId);
+    return this.store.get('userSettings', userId);
   }
 
   /**
@@ -169,145 +717,993 @@ export class LlmService {
    * @param {string} userId - User identifier
    * @param {string} message - User message
    * @param {Object} context - Additional context
-   * @returns {Promise<string>} - LLM response
+   * @param {Object} options - Request options
+   * @param {Function} options.onToken - Called with (delta, fullText) as tokens stream in;
+   *   when set, the completion is requested in streaming mode
+   * @param {AbortSignal} options.signal - Cancels the request, e.g. when the client has gone (optional)
+   * @returns {Promise<string>} - LLM response, or an apology if no provider could answer
    */
-  async getResponse(userId, message, context = {}) {
+  async getResponse(userId, message, context = {}, options = {}) {
     try {
-      // Get user-specific settings
-      const settings = this.getUserSettings(userId);
+      const { text } = await this.generateResponse(userId, message, context, options);
+      return text;
+    } catch (error) {
+      // The details stay in the logs; chat users only get an apology
+      console.error('Error getting LLM response:', error);
+      return 'Sorry, I couldn\'t get an answer right now. Please try again in a moment.';
+    }
+  }
+
+  /**
+   * Answer a message from the conversation history and record the exchange
+   * Unlike getResponse, errors are thrown to the caller.
+   * @param {string} userId - User identifier
+   * @param {string} message - User message
+   * @param {Object} context - Additional context
+   * @param {Object} options - Request options (see getResponse)
+   * @returns {Promise<Object>} - { text, answeredBy } with the provider that answered
+   *   (null if the message couldn't be sent to any)
+   * @throws {Error} - If no provider could answer
+   */
+  async generateResponse(userId, message, context = {}, options = {}) {
+    // Get user-specific settings
+    const settings = this.getUserSettings(userId);
+    
+    // Resolve this user's provider without touching any shared state
+    const { provider, model, modelInfo, contextLimit } = this.resolveProvider(settings);
+    
+    // Images sent with the message or in the quoted message
+    const images = [...(context.images || []), ...(context.quoted?.images || [])];
+    
+    if (images.length && !modelInfo.vision) {
+      const visionProviders = this.getAvailableProviders()
+        .filter(p => p.vision && p.isConfigured)
+        .map(p => p.id);
       
-      // Check if we need to use a different provider for this user
-      if (settings.provider !== this.currentProvider) {
-        const switchResult = this.switchProvider(settings.provider);
-        if (!switchResult.success) {
-          // Fallback to current provider
-          console.warn(`Failed to switch provider for user ${userId}: ${switchResult.message}`);
-        }
+      const text = `Sorry, ${provider.name} (${model}) can't see images.`
+        + (visionProviders.length ? ` Providers that can: ${visionProviders.join(', ')}.` : '');
+      return { text, answeredBy: null };
+    }
+    
+    // The reply goes to the thread the message was sent in, even if the user switches meanwhile
+    const threadId = this.getActiveThreadId(userId);
+    
+    // Add the new message to conversation history
+    // (group chats share one history, so remember who said what)
+    this.updateConversationHistory(userId, {
+      role: 'user',
+      content: message,
+      ...(context.isGroup && context.senderName ? { name: context.senderName } : {}),
+      ...(images.length ? { images: images.length } : {}),
+      timestamp: Date.now()
+    }, threadId, context.senderId);
+    
+    // Only offer tools to providers that support function calling
+    const useTools = modelInfo.tools && this.tools.list().length > 0;
+    
+    // Prepare messages for the API, fitted to the model's context window
+    const messages = this.prepareMessagesForApi(userId, settings, {
+      threadId,
+      quoted: context.quoted,
+      isGroup: context.isGroup,
+      images,
+      tools: useTools,
+      contextLimit
+    });
+    
+    // Providers to try if this user's provider fails
+    const chain = this.getProviderChain(settings, {
+      vision: images.length > 0,
+      tools: useTools
+    });
+    
+    let responseText;
+    let answeredBy;
+    for (let iteration = 0; ; iteration++) {
+      // The user's generation parameters (temperature, max_tokens, top_p) go on every request
+      const request = {
+        ...settings.parameters,
+        messages: messages
+      };
+      
+      // After too many rounds, leave the tools out so the model has to answer
+      if (useTools && iteration < this.config.maxToolIterations) {
+        request.tools = this.tools.getDefinitions();
       }
       
-      // Add the new message to conversation history
-      this.updateConversationHistory(userId, {
-        role: 'user',
-        content: message,
-        timestamp: Date.now()
+      // Make the API call, streaming tokens to the caller if requested
+      const startedAt = Date.now();
+      const completion = await this.completeWithFailover(chain, request, options.onToken, options.signal);
+      const { reply } = completion;
+      answeredBy = completion.answeredBy;
+      
+      this.recordUsage({
+        chatId: userId,
+        userId: context.senderId,
+        provider: answeredBy.id,
+        model: answeredBy.model,
+        type: 'chat',
+        messages,
+        reply,
+        latencyMs: Date.now() - startedAt
       });
       
-      // Prepare messages for the API
-      const messages = this.prepareMessagesForApi(userId, settings);
+      if (!reply.tool_calls?.length) {
+        responseText = reply.content || '';
+        break;
+      }
       
-      // Include quoted message context if available
-      if (context.quoted && context.quoted.text) {
-        // Find the last user message
-        const lastUserMessageIndex = messages.findLastIndex(msg => msg.role === 'user');
-        
-        if (lastUserMessageIndex !== -1) {
-          // Add quoted context to the user's message
-          const quotedPrefix = `(In response to: "${context.quoted.text}")`;
-          messages[lastUserMessageIndex].content = `${quotedPrefix}\n\n${messages[lastUserMessageIndex].content}`;
-        }
+      // Models that keep calling tools after they were taken away don't get another round
+      if (iteration >= this.config.maxToolIterations) {
+        console.warn(`Stopping after ${iteration + 1} rounds of tool calls for ${userId}`);
+        responseText = reply.content || 'Sorry, I couldn\'t finish answering that. Please try rephrasing your question.';
+        break;
       }
       
-      // Get the current provider configuration
-      const provider = this.providers[this.currentProvider];
+      // Run the requested tools and record the calls and results in history
+      const callMessage = {
+        role: 'assistant',
+        content: reply.content || null,
+        tool_calls: reply.tool_calls
+      };
+      messages.push(callMessage);
+      this.updateConversationHistory(userId, { ...callMessage, timestamp: Date.now() }, threadId, context.senderId);
       
-      // Make the API call
-      const response = await this.client.chat.completions.create({
-        model: provider.model,
-        messages: messages
+      for (const call of reply.tool_calls) {
+        console.log(`Running tool ${call.function.name} for ${userId} with ${call.function.arguments}`);
+        
+        const result = await this.tools.execute(call.function.name, call.function.arguments, {
+          userId,
+          threadId,
+          llmService: this,
+          messageContext: context
+        });
+        
+        const resultMessage = {
+          role: 'tool',
+          tool_call_id: call.id,
+          content: result
+        };
+        messages.push(resultMessage);
+        this.updateConversationHistory(userId, {
+          ...resultMessage,
+          name: call.function.name,
+          timestamp: Date.now()
+        }, threadId, context.senderId);
+      }
+    }
+    
+    // Add the response to conversation history
+    this.updateConversationHistory(userId, {
+      role: 'assistant',
+      content: responseText,
+      timestamp: Date.now()
+    }, threadId, context.senderId);
+    
+    // Name new threads after their first exchange
+    if (this.needsThreadTitle(userId, threadId)) {
+      this.titleThread(userId, threadId, context.senderId);
+    }
+    
+    return { text: responseText, answeredBy };
+  }
+
+  /**
+   * Complete a list of messages without reading or changing the conversation history
+   * Used by the OpenAI-compatible API. The user's system prompt (e.g. their
+   * persona) is added unless the messages bring their own, and the user's
+   * generation settings apply unless the caller overrides them.
+   * @param {string} userId - User identifier
+   * @param {Array} messages - Messages in the OpenAI format
+   * @param {Object} options - Request options
+   * @param {string} options.provider - Provider to use (defaults to the user's)
+   * @param {string} options.model - Model of that provider (defaults to its default model)
+   * @param {Object} options.parameters - Generation parameters (temperature, top_p, max_tokens)
+   * @param {Array} options.tools - Tool definitions for the model (optional)
+   * @param {Function} options.onToken - Called with (delta, fullText) as tokens stream in (optional)
+   * @param {AbortSignal} options.signal - Cancels the request (optional)
+   * @returns {Promise<Object>} - { reply, answeredBy } (see completeWithFailover)
+   */
+  async completeMessages(userId, messages, options = {}) {
+    const settings = this.getUserSettings(userId);
+    const selection = options.provider ? { ...settings, provider: options.provider, model: options.model || null } : settings;
+    
+    const hasImages = messages.some(msg => Array.isArray(msg.content) && msg.content.some(part => part.type === 'image_url'));
+    const hasTools = !!options.tools?.length || messages.some(msg => msg.role === 'tool' || msg.tool_calls);
+    const chain = this.getProviderChain(selection, { vision: hasImages, tools: hasTools });
+    
+    const request = {
+      ...settings.parameters,
+      ...options.parameters,
+      messages: messages.some(msg => msg.role === 'system')
+        ? messages
+        : [{ role: 'system', content: settings.systemPrompt || this.config.defaultSystemPrompt }, ...messages]
+    };
+    if (options.tools?.length) {
+      request.tools = options.tools;
+    }
+    
+    const startedAt = Date.now();
+    const { reply, answeredBy } = await this.completeWithFailover(chain, request, options.onToken, options.signal);
+    
+    this.recordUsage({
+      chatId: userId,
+      provider: answeredBy.id,
+      model: answeredBy.model,
+      type: 'chat',
+      messages: request.messages,
+      reply,
+      latencyMs: Date.now() - startedAt
+    });
+    
+    return { reply, answeredBy };
+  }
+
+  /**
+   * Send a request to the first provider in a chain that answers
+   *
+   * Each provider gets a few retries for temporary errors before the next one
+   * is tried; providers whose circuit breaker is open are skipped. Once part of
+   * a streamed reply has been delivered, errors are not retried, since the
+   * caller has already shown that text.
+   * @param {Array} chain - Resolved providers to try in order (see getProviderChain)
+   * @param {Object} request - Completion request parameters, without the model
+   * @param {Function} onToken - Called with (delta, fullText) as content streams in (optional)
+   * @param {AbortSignal} signal - Cancels the request; a cancelled request isn't failed over (optional)
+   * @returns {Promise<Object>} - { reply, answeredBy } with the assistant message and the provider used
+   */
+  async completeWithFailover(chain, request, onToken = null, signal = null) {
+    // The first failure is the one reported if no provider answers
+    let firstError = null;
+    
+    for (const entry of chain) {
+      if (!this.circuitBreaker.canRequest(entry.id)) {
+        console.warn(`Skipping provider ${entry.provider.name}: too many recent failures`);
+        continue;
+      }
+      
+      try {
+        const reply = await this.requestWithRetries(entry, request, onToken, signal);
+        this.circuitBreaker.recordSuccess(entry.id);
+        
+        const fallbackNote = entry !== chain[0] ? ` (fallback for ${chain[0].provider.name})` : '';
+        console.log(`Answered by ${entry.provider.name} (${entry.model})${fallbackNote}`);
+        
+        return { reply, answeredBy: entry };
+      } catch (error) {
+        // The caller gave up, so there is nobody to answer
+        if (signal?.aborted) {
+          throw error;
+        }
+        firstError = firstError || error;
+        
+        // A bad request (e.g. an unknown model) mustn't take the provider out
+        // of service for everyone else. If the user's own provider rejects it,
+        // it would fail everywhere; a fallback rejecting it may just not
+        // support the model or parameters, so the next one is tried.
+        if (!isProviderError(error)) {
+          console.error(`Provider ${entry.provider.name} (${entry.model}) rejected the request: ${error.message}`);
+          if (entry === chain[0]) {
+            throw error;
+          }
+          continue;
+        }
+        
+        if (this.circuitBreaker.recordFailure(entry.id)) {
+          console.warn(`Provider ${entry.provider.name} failed repeatedly; skipping it for ${this.config.circuitBreakerCooldown / 1000}s`);
+        }
+        console.error(`Provider ${entry.provider.name} (${entry.model}) failed: ${error.message}`);
+        
+        if (error.partialResponse) {
+          throw error;
+        }
+      }
+    }
+    
+    throw firstError || new Error('No LLM provider is available');
+  }
+
+  /**
+   * Send a request to one provider, retrying temporary errors with
+   * exponential backoff and jitter
+   * @param {Object} entry - Resolved provider ({ id, provider, model, modelInfo, client })
+   * @param {Object} request - Completion request parameters, without the model
+   * @param {Function} onToken - Called with (delta, fullText) as content streams in (optional)
+   * @param {AbortSignal} signal - Cancels the request (optional)
+   * @returns {Promise<Object>} - Assistant message ({ content, tool_calls, usage })
+   */
+  async requestWithRetries(entry, request, onToken = null, signal = null) {
+    for (let attempt = 0; ; attempt++) {
+      let streamed = false;
+      const trackedOnToken = onToken && ((delta, text) => {
+        streamed = true;
+        return onToken(delta, text);
       });
       
-      // Extract the response text
-      const responseText = response.choices[0].message.content;
+      try {
+        // The model's default parameters (e.g. temperature) apply unless the request sets them
+        return await this.requestCompletion(
+          entry.client,
+          { ...entry.modelInfo.parameters, ...this.clampParameters(entry.id, request), model: entry.model },
+          entry.modelInfo.streaming ? trackedOnToken : null,
+          signal
+        );
+      } catch (error) {
+        if (streamed) {
+          error.partialResponse = true;
+          throw error;
+        }
+        if (attempt >= this.config.maxRetries || !isRetryableError(error) || signal?.aborted) {
+          throw error;
+        }
+        
+        const delay = getBackoffDelay(attempt, {
+          baseDelay: this.config.retryBaseDelay,
+          maxDelay: this.config.retryMaxDelay
+        }, error);
+        console.warn(`Provider ${entry.provider.name} error (${error.status || error.message}); retry ${attempt + 1}/${this.config.maxRetries} in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Request a completion and return the assistant message
+   * @param {OpenAI} client - Provider client
+   * @param {Object} request - Completion request parameters
+   * @param {Function} onToken - Called with (delta, fullText) as content streams in (optional;
+   *   without it the completion is requested in one piece)
+   * @param {AbortSignal} signal - Cancels the request (optional)
+   * @returns {Promise<Object>} - Assistant message ({ content, tool_calls, usage })
+   */
+  async requestCompletion(client, request, onToken = null, signal = null) {
+    if (onToken) {
+      return this.streamCompletion(client, request, onToken, signal);
+    }
+    
+    const response = await client.chat.completions.create(request, { signal });
+    return { ...response.choices[0].message, usage: response.usage };
+  }
+
+  /**
+   * Run a streaming completion and collect the full assistant message
+   * @param {OpenAI} client - Provider client
+   * @param {Object} request - Completion request parameters
+   * @param {Function} onToken - Called with (delta, fullText) for each content chunk
+   * @param {AbortSignal} signal - Cancels the request (optional)
+   * @returns {Promise<Object>} - Assistant message ({ content, tool_calls, usage })
+   */
+  async streamCompletion(client, request, onToken, signal = null) {
+    const stream = await client.chat.completions.create({
+      ...request,
+      stream: true,
+      stream_options: { include_usage: true } // Usage arrives in a final chunk without choices
+    }, { signal });
+    
+    let text = '';
+    let usage;
+    const toolCalls = [];
+    
+    for await (const chunk of stream) {
+      if (chunk.usage) usage = chunk.usage;
       
-      // Add the response to conversation history
-      this.updateConversationHistory(userId, {
-        role: 'assistant',
-        content: responseText,
-        timestamp: Date.now()
+      const delta = chunk.choices[0]?.delta;
+      if (!delta) continue;
+      
+      // Tool calls arrive in fragments that have to be stitched together by index
+      (delta.tool_calls || []).forEach(fragment => {
+        const call = toolCalls[fragment.index] ||= {
+          id: '',
+          type: 'function',
+          function: { name: '', arguments: '' }
+        };
+        if (fragment.id) call.id = fragment.id;
+        if (fragment.function?.name) call.function.name += fragment.function.name;
+        if (fragment.function?.arguments) call.function.arguments += fragment.function.arguments;
       });
       
-      return responseText;
-    } catch (error) {
-      console.error('Error getting LLM response:', error);
-      return `Sorry, I encountered an error while processing your request. Error details: ${error.message}`;
+      if (!delta.content) continue;
+      
+      text += delta.content;
+      await onToken(delta.content, text);
     }
+    
+    // The client ends the stream quietly when it is aborted; the reply is incomplete
+    if (signal?.aborted) {
+      throw new OpenAI.APIUserAbortError();
+    }
+    
+    return {
+      content: text,
+      tool_calls: toolCalls.filter(Boolean),
+      usage
+    };
   }
 
   /**
    * Prepare messages for the API call including conversation history
+   * 
+   * The system prompt, the latest user message (with any quoted context) and
+   * as much recent history as fits are packed into the token budget. Older
+   * turns are dropped first; the oldest one that still partly fits is truncated.
    * @param {string} userId - User identifier
    * @param {Object} settings - User settings
+   * @param {Object} options - Options
+   * @param {number} options.threadId - Conversation thread (defaults to the active one)
+   * @param {Object} options.quoted - Quoted message context (optional)
+   * @param {boolean} options.isGroup - Whether this is a group conversation
+   * @param {Array} options.images - Images to attach to the latest message ({ mimeType, data })
+   * @param {boolean} options.tools - Whether the provider supports tool calls (otherwise
+   *   tool calls and results in history are left out)
+   * @param {number} options.contextLimit - Token limit of the model's context window
    * @returns {Array} - Messages formatted for the API
    */
-  prepareMessagesForApi(userId, settings) {
-    // Get recent conversation history
-    const history = this.getConversationHistory(userId, this.config.maxHistoryLength);
+  prepareMessagesForApi(userId, settings, options = {}) {
+    // Get recent conversation history. With summarization on, older turns live in
+    // the summary, so send everything still in history and let the budget trim it.
+    const history = this.getConversationHistory(
+      userId,
+      this.config.summarize ? 0 : this.config.maxHistoryLength,
+      options.threadId
+    );
+    
+    const systemMessage = {
+      role: 'system',
+      content: settings.systemPrompt || this.config.defaultSystemPrompt
+    };
+    
+    if (options.isGroup) {
+      systemMessage.content += '\n\nThis is a group chat. Each user message starts with the name of the participant who sent it.';
+    }
+    
+    const contextLimit = options.contextLimit || this.config.contextLimit;
+    let budget = contextLimit - this.config.responseTokenReserve - estimateMessageTokens(systemMessage);
     
-    // Start with the system message
-    const messages = [
-      {
+    // Add the running summary of earlier turns right after the system prompt
+    const summary = this.getConversationSummary(userId, options.threadId);
+    const preamble = [systemMessage];
+    if (summary) {
+      const summaryMessage = {
         role: 'system',
-        content: settings.systemPrompt || this.config.defaultSystemPrompt
+        content: `Summary of the earlier conversation:\n${truncateToTokens(summary.text, Math.floor(budget / 4))}`
+      };
+      preamble.push(summaryMessage);
+      budget -= estimateMessageTokens(summaryMessage);
+    }
+    
+    const images = options.images || [];
+    
+    // Providers without function calling reject tool messages, so skip them
+    const relevantHistory = options.tools
+      ? history
+      : history.filter(msg => msg.role !== 'tool' && !(msg.tool_calls && !msg.content));
+    
+    const historyMessages = relevantHistory.map(msg => {
+      if (msg.role === 'tool') {
+        return { role: 'tool', tool_call_id: msg.tool_call_id, content: msg.content };
+      }
+      if (msg.tool_calls && options.tools) {
+        return { role: 'assistant', content: msg.content, tool_calls: msg.tool_calls };
       }
+      
+      let content = msg.content;
+      
+      // Images are only sent with the latest message; earlier ones are noted in the text
+      if (msg.images && !(images.length && msg === relevantHistory[relevantHistory.length - 1])) {
+        content = `[Sent ${msg.images} image(s)] ${content}`.trim();
+      }
+      
+      return {
+        role: msg.role,
+        content: msg.name ? `${msg.name}: ${content}` : content
+      };
+    });
+    
+    // Include quoted message context in the latest user message
+    if (options.quoted && options.quoted.text) {
+      const lastUserMessageIndex = historyMessages.findLastIndex(msg => msg.role === 'user');
+      
+      if (lastUserMessageIndex !== -1) {
+        // Don't let a long quote crowd out the conversation
+        const quotedText = truncateToTokens(options.quoted.text, Math.floor(budget / 4));
+        const quotedPrefix = `(In response to: "${quotedText}")`;
+        historyMessages[lastUserMessageIndex].content = `${quotedPrefix}\n\n${historyMessages[lastUserMessageIndex].content}`;
+      }
+    }
+    
+    if (!images.length) {
+      return [...preamble, ...this.fitMessagesToBudget(historyMessages, budget)];
+    }
+    
+    // Attach the images to the latest message as multimodal content parts
+    const fitted = this.fitMessagesToBudget(historyMessages, budget - images.length * IMAGE_TOKENS);
+    const latest = fitted[fitted.length - 1];
+    latest.content = [
+      ...(latest.content ? [{ type: 'text', text: latest.content }] : []),
+      ...images.map(image => ({
+        type: 'image_url',
+        image_url: { url: `data:${image.mimeType};base64,${image.data}` }
+      }))
     ];
     
-    // Add conversation history
-    history.forEach(msg => {
-      messages.push({
-        role: msg.role,
-        content: msg.content
-      });
+    return [...preamble, ...fitted];
+  }
+
+  /**
+   * Keep as many of the most recent messages as fit in a token budget
+   * @param {Array} messages - Messages in chronological order
+   * @param {number} budget - Available tokens
+   * @returns {Array} - Messages that fit, in chronological order
+   */
+  fitMessagesToBudget(messages, budget) {
+    const fitted = [];
+    let remaining = budget;
+    
+    for (let i = messages.length - 1; i >= 0; i--) {
+      const message = messages[i];
+      const tokens = estimateMessageTokens(message);
+      
+      if (tokens <= remaining) {
+        fitted.unshift(message);
+        remaining -= tokens;
+        continue;
+      }
+      
+      // The latest message is always sent, cut to fit; an older one is kept only
+      // if a useful part still fits, keeping its end (closest to the rest of the chat)
+      const isLatest = i === messages.length - 1;
+      const available = remaining - estimateMessageTokens({ content: '' });
+      if (isLatest || available >= this.config.minTruncatedTokens) {
+        fitted.unshift({
+          ...message,
+          content: truncateToTokens(message.content, Math.max(available, 0), isLatest ? 'start' : 'end')
+        });
+      }
+      
+      console.log(`Context budget of ${budget} tokens reached: sending ${fitted.length} of ${messages.length} message(s)`);
+      break;
+    }
+    
+    // A tool result is only valid after the assistant message that requested it
+    while (fitted.length > 1 && fitted[0].role === 'tool') {
+      fitted.shift();
+    }
+    
+    return fitted;
+  }
+
+  /**
+   * Get a user's conversation threads
+   * Users start with one thread (id 1), stored under the plain user id.
+   * @param {string} userId - User identifier
+   * @returns {Object} - { nextId, threads: [{ id, title, createdAt }] }
+   */
+  getThreads(userId) {
+    return this.store.get('threads', userId) || { nextId: 2, threads: [{ id: 1, title: null, createdAt: null }] };
+  }
+
+  /**
+   * Get the id of the thread a user is talking in
+   * @param {string} userId - User identifier
+   * @returns {number}
+   */
+  getActiveThreadId(userId) {
+    const { threads } = this.getThreads(userId);
+    const active = this.getUserSettings(userId).thread;
+    return threads.some(thread => thread.id === active) ? active : threads[0].id;
+  }
+
+  /**
+   * Get the key a thread's history and summary are stored under
+   * @param {string} userId - User identifier
+   * @param {number} threadId - Thread id (defaults to the active thread)
+   * @returns {string}
+   */
+  getConversationKey(userId, threadId = this.getActiveThreadId(userId)) {
+    return threadId === 1 ? userId : `${userId}#${threadId}`;
+  }
+
+  /**
+   * List a user's conversation threads
+   * Threads without a title yet are named after their first message.
+   * @param {string} userId - User identifier
+   * @returns {Array} - [{ id, title, messageCount, updatedAt, isActive }]
+   */
+  listThreads(userId) {
+    const activeId = this.getActiveThreadId(userId);
+    
+    return this.getThreads(userId).threads.map(thread => {
+      const history = this.getConversationHistory(userId, 0, thread.id);
+      const first = history.find(msg => msg.role === 'user' && msg.content)?.content;
+      
+      return {
+        id: thread.id,
+        title: thread.title || (first ? truncateTitle(first) : 'New conversation'),
+        messageCount: history.length,
+        updatedAt: history[history.length - 1]?.timestamp || thread.createdAt,
+        isActive: thread.id === activeId
+      };
     });
+  }
+
+  /**
+   * Start a new conversation thread and switch to it
+   * @param {string} userId - User identifier
+   * @param {string} title - Thread title (optional; generated after the first exchange if not given)
+   * @param {string} senderId - Person who started it, charged for titling the previous thread (optional)
+   * @returns {Object} - Result of the operation
+   */
+  createThread(userId, title = null, senderId = null) {
+    const data = this.getThreads(userId);
+    
+    // Name the thread being left, now that it is known to be one of several
+    const previousId = this.getActiveThreadId(userId);
+    if (this.needsThreadTitle(userId, previousId, data)) {
+      this.titleThread(userId, previousId, senderId);
+    }
+    
+    const thread = { id: data.nextId, title: title?.trim() || null, createdAt: Date.now() };
+    this.store.set('threads', userId, { nextId: data.nextId + 1, threads: [...data.threads, thread] });
+    this.getUserSettings(userId, { thread: thread.id });
+    
+    return {
+      success: true,
+      message: `Started conversation ${thread.id}${thread.title ? `: ${thread.title}` : ''}.`
+    };
+  }
+
+  /**
+   * Switch to another conversation thread
+   * @param {string} userId - User identifier
+   * @param {number} threadId - Thread id
+   * @returns {Object} - Result of the operation
+   */
+  switchThread(userId, threadId) {
+    const thread = this.listThreads(userId).find(item => item.id === threadId);
+    if (!thread) {
+      return { success: false, message: `There is no conversation ${threadId}.` };
+    }
+    
+    this.getUserSettings(userId, { thread: thread.id });
+    return { success: true, message: `Switched to conversation ${thread.id}: ${thread.title}` };
+  }
+
+  /**
+   * Delete a conversation thread with its history and summary
+   * Deleting the active thread switches to the most recent remaining one; deleting
+   * the last one leaves a new empty thread.
+   * @param {string} userId - User identifier
+   * @param {number} threadId - Thread id
+   * @returns {Object} - Result of the operation
+   */
+  deleteThread(userId, threadId) {
+    const data = this.getThreads(userId);
+    if (!data.threads.some(thread => thread.id === threadId)) {
+      return { success: false, message: `There is no conversation ${threadId}.` };
+    }
+    
+    const activeId = this.getActiveThreadId(userId);
+    this.clearConversationHistory(userId, threadId);
+    
+    let { nextId } = data;
+    const threads = data.threads.filter(thread => thread.id !== threadId);
+    if (!threads.length) {
+      threads.push({ id: nextId++, title: null, createdAt: Date.now() });
+    }
+    this.store.set('threads', userId, { nextId, threads });
+    
+    let message = `Deleted conversation ${threadId}.`;
+    if (threadId === activeId) {
+      const next = threads[threads.length - 1];
+      this.getUserSettings(userId, { thread: next.id });
+      message += ` Now in conversation ${next.id}.`;
+    }
+    
+    return { success: true, message };
+  }
+
+  /**
+   * Check whether a thread should get a generated title: it has none, the user
+   * has more than one thread and the first exchange is done
+   * @param {string} userId - User identifier
+   * @param {number} threadId - Thread id
+   * @param {Object} data - The user's threads (see getThreads; optional)
+   * @returns {boolean}
+   */
+  needsThreadTitle(userId, threadId, data = this.store.get('threads', userId)) {
+    const thread = data?.threads.find(item => item.id === threadId);
+    if (!this.config.threadTitles || !thread || thread.title || this.titleQueue.has(this.getConversationKey(userId, threadId))) {
+      return false;
+    }
     
-    return messages;
+    const history = this.getConversationHistory(userId, 0, threadId);
+    return history.some(msg => msg.role === 'assistant' && msg.content);
+  }
+
+  /**
+   * Ask the LLM for a short title of a thread and store it
+   * Runs in the background; on failure the thread stays named after its first message.
+   * @param {string} userId - User identifier
+   * @param {number} threadId - Thread id
+   * @param {string} senderId - Person whose message led to the title, charged for it (optional)
+   * @returns {Promise<void>}
+   */
+  titleThread(userId, threadId, senderId = null) {
+    const key = this.getConversationKey(userId, threadId);
+    
+    const task = this.generateThreadTitle(userId, threadId, senderId)
+      .catch(error => console.error(`Error titling conversation ${key}:`, error))
+      .finally(() => this.titleQueue.delete(key));
+    
+    this.titleQueue.set(key, task);
+    return task;
+  }
+
+  /**
+   * Generate and store the title of a thread
+   * @param {string} userId - User identifier
+   * @param {number} threadId - Thread id
+   * @param {string} senderId - Person charged for the title (optional; defaults to the chat)
+   * @returns {Promise<void>}
+   */
+  async generateThreadTitle(userId, threadId, senderId = null) {
+    const chain = this.getProviderChain(this.getUserSettings(userId));
+    
+    const transcript = this.getConversationHistory(userId, 0, threadId)
+      .filter(msg => ['user', 'assistant'].includes(msg.role) && msg.content)
+      .slice(0, 4)
+      .map(msg => `${msg.role === 'assistant' ? 'Assistant' : 'User'}: ${truncateToTokens(msg.content, 200)}`)
+      .join('\n');
+    
+    const request = {
+      messages: [
+        {
+          role: 'system',
+          content: 'Write a title of at most six words for this conversation. Answer with the title only, '
+            + 'without quotes or a final period.'
+        },
+        { role: 'user', content: transcript }
+      ]
+    };
+    
+    const startedAt = Date.now();
+    const { reply, answeredBy } = await this.completeWithFailover(chain, request);
+    
+    this.recordUsage({
+      chatId: userId,
+      userId: senderId,
+      provider: answeredBy.id,
+      model: answeredBy.model,
+      type: 'title',
+      messages: request.messages,
+      reply,
+      latencyMs: Date.now() - startedAt
+    });
+    
+    const title = (reply.content || '')
+      .replace(/<think>[\s\S]*?<\/think>/g, '')
+      .trim()
+      .replace(/^["'*]+|["'*.]+$/g, '');
+    if (!title) return;
+    
+    // The thread may have been deleted or named while the title was generated
+    const data = this.getThreads(userId);
+    const threads = data.threads.map(thread => (
+      thread.id === threadId && !thread.title ? { ...thread, title: truncateTitle(title) } : thread
+    ));
+    this.store.set('threads', userId, { ...data, threads });
   }
 
   /**
    * Get conversation history for a user
    * @param {string} userId - User identifier
-   * @param {number} limit - Maximum number of messages to retrieve
+   * @param {number} limit - Maximum number of user and assistant messages to retrieve
+   *   (tool calls and results between them are included; 0 for all)
+   * @param {number} threadId - Conversation thread (defaults to the active one)
    * @returns {Array} - Conversation history
    */
-  getConversationHistory(userId, limit = 10) {
-    if (!this.conversations.has(userId)) {
+  getConversationHistory(userId, limit = 10, threadId = undefined) {
+    const history = this.store.get('conversations', this.getConversationKey(userId, threadId));
+    
+    if (!history) {
       return [];
     }
-    
-    const history = this.conversations.get(userId);
-    return limit ? history.slice(-limit) : history;
+    return limit ? lastTurns(history, limit) : history;
   }
 
   /**
    * Update conversation history
    * @param {string} userId - User identifier
    * @param {Object} message - Message object
+   * @param {number} threadId - Conversation thread (defaults to the active one)
+   * @param {string} senderId - Person whose message this is part of, charged for any summary it causes (optional)
    */
-  updateConversationHistory(userId, message) {
-    if (!this.conversations.has(userId)) {
-      this.conversations.set(userId, []);
-    }
-    
-    const history = this.conversations.get(userId);
+  updateConversationHistory(userId, message, threadId = undefined, senderId = null) {
+    const key = this.getConversationKey(userId, threadId);
+    const history = [...(this.store.get('conversations', key) || [])];
     history.push(message);
     
-    // Apply history length limit
+    // Apply history length limit (tool calls and results don't count towards it)
     const maxLength = this.config.maxHistoryLength * 2; // User + assistant messages
-    if (history.length > maxLength) {
-      // Remove oldest messages, but keep in pairs (user + assistant)
-      const excessMessages = history.length - maxLength;
-      history.splice(0, excessMessages);
+    const turns = history.filter(isConversationTurn).length;
+    if (turns > maxLength) {
+      // Evict a batch at a time so the summary isn't rewritten on every message
+      let excessTurns = this.config.summarize
+        ? Math.max(turns - maxLength, this.config.summaryBatchSize)
+        : turns - maxLength;
+      
+      let end = 0;
+      while (end < history.length && excessTurns > 0) {
+        if (isConversationTurn(history[end])) excessTurns--;
+        end++;
+      }
+      // Tool calls and results go with the turn they belong to
+      while (end < history.length && !isConversationTurn(history[end])) {
+        end++;
+      }
+      
+      const evicted = history.splice(0, end);
+      if (this.config.summarize) {
+        this.compactConversation(userId, evicted, key, senderId);
+      }
     }
+    
+    this.store.set('conversations', key, history);
+  }
+
+  /**
+   * Get the running summary of turns evicted from a conversation
+   * @param {string} userId - User identifier
+   * @param {number} threadId - Conversation thread (defaults to the active one)
+   * @returns {Object|null} - { text, messageCount, updatedAt } or null
+   */
+  getConversationSummary(userId, threadId = undefined) {
+    return this.store.get('summaries', this.getConversationKey(userId, threadId)) || null;
+  }
+
+  /**
+   * Delete the running summary of a conversation
+   * @param {string} userId - User identifier
+   * @returns {Object} - Result of the operation
+   */
+  clearConversationSummary(userId) {
+    this.store.delete('summaries', this.getConversationKey(userId));
+    return { success: true, message: 'Conversation summary cleared.' };
+  }
+
+  /**
+   * Fold evicted messages into the conversation's running summary
+   * Runs in the background; summaries for the same conversation are queued.
+   * @param {string} userId - User identifier
+   * @param {Array} evicted - Messages removed from history
+   * @param {string} key - Storage key of the thread (see getConversationKey)
+   * @param {string} senderId - Person charged for the summary (optional; defaults to the chat)
+   * @returns {Promise<void>}
+   */
+  compactConversation(userId, evicted, key = this.getConversationKey(userId), senderId = null) {
+    const previous = this.summaryQueue.get(key) || Promise.resolve();
+    
+    const next = previous
+      .then(() => this.updateConversationSummary(userId, evicted, key, senderId))
+      .catch(error => console.error(`Error summarizing conversation ${key}:`, error))
+      .finally(() => {
+        if (this.summaryQueue.get(key) === next) {
+          this.summaryQueue.delete(key);
+        }
+      });
+    
+    this.summaryQueue.set(key, next);
+    return next;
+  }
+
+  /**
+   * Ask the LLM to merge messages into the running summary and store the result
+   * @param {string} userId - User identifier
+   * @param {Array} messages - Messages to add to the summary
+   * @param {string} key - Storage key of the thread (see getConversationKey)
+   * @param {string} senderId - Person charged for the summary (optional; defaults to the chat)
+   * @returns {Promise<void>}
+   */
+  async updateConversationSummary(userId, messages, key = this.getConversationKey(userId), senderId = null) {
+    const chain = this.getProviderChain(this.getUserSettings(userId));
+    const previous = this.store.get('summaries', key);
+    
+    const transcript = messages
+      .filter(msg => ['user', 'assistant'].includes(msg.role) && msg.content)
+      .map(msg => `${msg.role === 'assistant' ? 'Assistant' : msg.name || 'User'}: ${msg.content}`)
+      .join('\n');
+    
+    const request = {
+      messages: [
+        {
+          role: 'system',
+          content: 'You maintain a running summary of a chat between a user and an assistant. '
+            + 'Merge the new messages into the existing summary. Keep names, facts, decisions, '
+            + 'preferences and open questions; drop small talk. Answer with the updated summary only, '
+            + 'in at most 200 words.'
+        },
+        {
+          role: 'user',
+          content: `Existing summary:\n${previous?.text || '(none)'}\n\nNew messages:\n${transcript}`
+        }
+      ]
+    };
+    
+    const startedAt = Date.now();
+    const { reply, answeredBy } = await this.completeWithFailover(chain, request);
+    
+    this.recordUsage({
+      chatId: userId,
+      userId: senderId,
+      provider: answeredBy.id,
+      model: answeredBy.model,
+      type: 'summary',
+      messages: request.messages,
+      reply,
+      latencyMs: Date.now() - startedAt
+    });
+    
+    // Reasoning models may include their thinking in the reply
+    const text = (reply.content || '')
+      .replace(/<think>[\s\S]*?<\/think>/g, '')
+      .trim();
+    
+    // Skip if the conversation was cleared while the summary was being written
+    if (!text || !this.store.has('conversations', key)) return;
+    
+    this.store.set('summaries', key, {
+      text,
+      messageCount: (previous?.messageCount || 0) + messages.length,
+      updatedAt: Date.now()
+    });
   }
 
   /**
    * Clear conversation history for a user
    * @param {string} userId - User identifier
+   * @param {number} threadId - Conversation thread (defaults to the active one)
    */
-  clearConversationHistory(userId) {
-    this.conversations.delete(userId);
+  clearConversationHistory(userId, threadId = undefined) {
+    const key = this.getConversationKey(userId, threadId);
+    this.store.delete('conversations', key);
+    this.store.delete('summaries', key);
     return { success: true, message: 'Conversation history cleared.' };
   }
 
+  /**
+   * Replace a conversation's history and summary, e.g. with an imported conversation
+   * Only the most recent messages that fit the history limit are kept.
+   * @param {string} userId - User identifier
+   * @param {Array} messages - Messages ({ role, content, name, tool_calls, tool_call_id, timestamp })
+   * @param {Object} summary - Summary of earlier messages ({ text, messageCount }) or null
+   * @returns {Object} - Result of the operation
+   */
+  restoreConversation(userId, messages, summary = null) {
+    // Keep as many turns as updateConversationHistory would, and never start
+    // with tool results whose call was left out
+    const recent = lastTurns(messages, this.config.maxHistoryLength * 2);
+    const first = recent.findIndex(message => message.role !== 'tool');
+    const kept = (first === -1 ? [] : recent.slice(first))
+      .map(({ role, content, name, tool_calls, tool_call_id, images, timestamp }) => ({
+        role, content, name, tool_calls, tool_call_id, images, timestamp
+      }))
+      .map(message => Object.fromEntries(Object.entries(message).filter(([, value]) => value !== undefined)));
+    
+    const key = this.getConversationKey(userId);
+    this.clearConversationHistory(userId);
+    this.store.set('conversations', key, kept);
+    if (summary) {
+      this.store.set('summaries', key, { ...summary, updatedAt: Date.now() });
+    }
+    
+    const dropped = messages.length - kept.length;
+    return {
+      success: true,
+      message: `Restored ${kept.length} message(s)${summary ? ' and the summary of earlier messages' : ''}.`
+        + (dropped ? ` The ${dropped} oldest message(s) didn't fit in the history and were left out.` : '')
+    };
+  }
+
   /**
    * Update system prompt for a user
    * @param {string} userId - User identifier
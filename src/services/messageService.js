@@ -1,10 +1,31 @@
 import { LlmService } from './llmService.js';
+import { SpeechService } from './speechService.js';
+import { AccessControl } from './accessControl.js';
+import { QuotaService } from './quotaService.js';
+import { UsageService } from './usageService.js';
+import { PersonaService } from './personaService.js';
+import { CommandRegistry } from '../commands/commandRegistry.js';
+import { coreCommands } from '../commands/coreCommands.js';
+import { providerCommands } from '../commands/providerCommands.js';
+import { modelCommands } from '../commands/modelCommands.js';
+import { settingsCommands } from '../commands/settingsCommands.js';
+import { personaCommands } from '../commands/personaCommands.js';
+import { summaryCommands } from '../commands/summaryCommands.js';
+import { exportCommands } from '../commands/exportCommands.js';
+import { threadCommands } from '../commands/threadCommands.js';
+import { groupCommands } from '../commands/groupCommands.js';
+import { voiceCommands } from '../commands/voiceCommands.js';
+import { adminCommands } from '../commands/adminCommands.js';
+import { quotaCommands } from '../commands/quotaCommands.js';
+import { usageCommands } from '../commands/usageCommands.js';
 
 /**
  * Message Service
  * 
  * This service handles the processing of messages and coordinates
- * between the adapter (WhatsApp, Console) and the LLM service.
+ * between the adapter (WhatsApp, Telegram, HTTP, Console) and the LLM service.
+ * To serve several platforms with the same LLM service and store, pass a
+ * MultiAdapter, which namespaces ids by platform.
  */
 export class MessageService {
   /**
@@ -14,11 +35,44 @@ export class MessageService {
   constructor(adapter, options = {}) {
     this.adapter = adapter;
     this.llmService = new LlmService(options.llm || {});
+    this.speechService = new SpeechService(options.speech || {});
+    this.access = new AccessControl({ ...options.access, store: this.llmService.store });
+    this.quotas = new QuotaService({ ...options.quotas, store: this.llmService.store });
+    this.usage = new UsageService({ ...options.usage, store: this.llmService.store });
+    this.personas = new PersonaService({ ...options.personas, llmService: this.llmService });
+    
+    // Count every completion's tokens against the quota of the user who asked,
+    // and keep a record of it for usage and cost reports
+    this.llmService.addUsageListener(record => this.quotas.recordUsage(record));
+    this.llmService.addUsageListener(record => this.usage.recordUsage(record));
+    
+    // Chat commands (see src/commands); more can be added with registerCommand()
+    this.commands = options.commandRegistry || new CommandRegistry();
+    this.commands.register(
+      ...coreCommands,
+      ...providerCommands,
+      ...modelCommands,
+      ...settingsCommands,
+      ...personaCommands,
+      ...summaryCommands,
+      ...threadCommands,
+      ...exportCommands,
+      ...groupCommands,
+      ...voiceCommands,
+      ...adminCommands,
+      ...quotaCommands,
+      ...usageCommands
+    );
     
     // Config options with defaults
     this.config = {
       prefixCommands: true,  // Whether to enable prefix commands like !help
       commandPrefix: '!',    // Prefix for commands
+      groupTriggerMode: 'mention', // Default trigger mode for group chats (see src/commands/groupCommands.js)
+      streamResponses: true, // Whether to send replies progressively as they are generated
+      echoTranscripts: false, // Whether to send voice note transcripts back before replying
+      voiceReplies: 'off',   // Default voice reply mode (see src/commands/voiceCommands.js)
+      voiceTextThreshold: 300, // Voice replies longer than this many characters are also sent as text
       ...options
     };
     
@@ -32,21 +86,54 @@ export class MessageService {
    */
   async initialize() {
     console.log('Initializing message service...');
+    await this.llmService.initialize();
+    await this.access.initialize();
+    await this.usage.initialize();
     await this.adapter.initialize();
     console.log('Message service initialized');
   }
 
   /**
    * Handle incoming messages
-   * @param {string} sender - Sender identifier
+   * @param {string} sender - Conversation identifier (the group JID for group messages)
    * @param {string} message - Message content
    * @param {Object} context - Additional context
+   * @param {boolean} context.isGroup - Whether the message was sent in a group chat
+   * @param {boolean} context.isMentioned - Whether the bot was @mentioned
+   * @param {boolean} context.isReplyToBot - Whether the message replies to one of the bot's messages
+   * @param {Object} context.audio - Voice note to transcribe ({ mimeType, data })
+   * @param {Function} context.loadMedia - Downloads the photos and voice note of a group message that
+   *   doesn't mention or reply to the bot, resolving to { images, audio } (null if already downloaded)
+   * @param {Object} context.document - Attached document ({ fileName, mimeType, size, download() })
    * @returns {Promise<void>}
    */
   async handleMessage(sender, message, context = {}) {
     try {
+      // Ignore blocked users and chats outside the allow lists
+      if (!this.access.isAllowed(context.senderId || sender, context.isGroup ? sender : null)) {
+        console.log(`Ignoring message from ${context.senderId || sender}: not allowed`);
+        return;
+      }
+      
+      // New chats start with the default persona for private or group chats
+      this.personas.applyDefaultPersona(sender, context.isGroup);
+      
+      // Media of group messages that may not be for the bot is only downloaded
+      // for commands and in groups that get a reply to every message
+      const isCommand = this.config.prefixCommands && message.startsWith(this.config.commandPrefix);
+      if (context.loadMedia && (isCommand || this.isTriggered(sender, context))) {
+        context = { ...context, ...(await context.loadMedia()), loadMedia: null };
+      }
+      
+      // Voice notes are transcribed and then handled like typed text
+      if (context.audio) {
+        message = await this.transcribeVoiceNote(sender, context);
+        if (!message) return;
+        context = { ...context, limitsChecked: true };
+      }
+      
       // Log incoming message
-      console.log(`Received message from ${sender}: ${message}`);
+      console.log(`Received message from ${context.senderId || sender}${context.isGroup ? ` in ${sender}` : ''}: ${message}`);
       
       // Check if it's a command
       if (this.config.prefixCommands && message.startsWith(this.config.commandPrefix)) {
@@ -54,24 +141,12 @@ export class MessageService {
         return;
       }
       
-      // Get response from LLM
-      const response = await this.llmService.getResponse(sender, message, context);
-      
-      // Update conversation history
-      this.llmService.updateConversationHistory(sender, {
-        role: 'user',
-        content: message,
-        timestamp: Date.now()
-      });
-      
-      this.llmService.updateConversationHistory(sender, {
-        role: 'assistant',
-        content: response,
-        timestamp: Date.now()
-      });
+      // In groups, only answer messages that match the group's trigger mode
+      if (context.isGroup && !this.isTriggered(sender, context)) {
+        return;
+      }
       
-      // Send response back through the adapter
-      await this.adapter.sendMessage(sender, response);
+      await this.reply(sender, message, context);
     } catch (error) {
       console.error('Error handling message:', error);
       await this.adapter.sendMessage(sender, 'Sorry, I encountered an error while processing your message.');
@@ -79,113 +154,304 @@ export class MessageService {
   }
 
   /**
-   * Handle command messages
-   * @param {string} sender - Sender identifier
-   * @param {string} command - Command content (without prefix)
+   * Transcribe the voice note attached to a message
+   * @param {string} sender - Conversation identifier
+   * @param {Object} context - Message context with audio
+   * @returns {Promise<string|null>} - Transcript, or null if there is nothing to handle
+   */
+  async transcribeVoiceNote(sender, context) {
+    // In groups, don't transcribe voice notes that aren't meant for the bot
+    if (context.isGroup && !this.isTriggered(sender, context)) {
+      return null;
+    }
+    
+    if (!this.speechService.isTranscriptionEnabled()) {
+      await this.adapter.sendMessage(sender, "Sorry, I can't listen to voice notes yet. Please type your message.");
+      return null;
+    }
+    
+    // Transcription costs money too, so limits apply before it rather than to the reply
+    if (!(await this.checkLimits(sender, context))) {
+      return null;
+    }
+    
+    const transcript = await this.speechService.transcribe(context.audio.data, context.audio.mimeType);
+    console.log(`Transcribed voice note from ${context.senderId || sender}: ${transcript}`);
+    
+    if (!transcript) {
+      await this.adapter.sendMessage(sender, "Sorry, I couldn't make out anything in that voice note.");
+      return null;
+    }
+    
+    if (this.config.echoTranscripts) {
+      await this.adapter.sendMessage(sender, `🎤 "${transcript}"`);
+    }
+    
+    return transcript;
+  }
+
+  /**
+   * Get an LLM reply to a message and send it back through the adapter
+   * @param {string} sender - Conversation identifier
+   * @param {string} message - Message content
    * @param {Object} context - Additional context
+   * @param {boolean} context.limitsChecked - Whether rate limits and quotas were already applied
    * @returns {Promise<void>}
    */
-  async handleCommand(sender, command, context) {
-    const [cmd, ...args] = command.trim().split(/\s+/);
-    
-    switch (cmd.toLowerCase()) {
-      case 'help':
-        await this.adapter.sendMessage(sender, `
-Available commands:
-${this.config.commandPrefix}help - Show this help message
-${this.config.commandPrefix}clear - Clear conversation history
-${this.config.commandPrefix}ping - Check if bot is responsive
-${this.config.commandPrefix}provider - Show current LLM provider
-${this.config.commandPrefix}provider list - List available providers
-${this.config.commandPrefix}provider set <name> - Switch to a different provider
-${this.config.commandPrefix}system <prompt> - Set system prompt
-        `.trim());
-        break;
-        
-      case 'clear':
-        const result = this.llmService.clearConversationHistory(sender);
-        await this.adapter.sendMessage(sender, result.message);
-        break;
-        
-      case 'ping':
-        await this.adapter.sendMessage(sender, 'Pong! Bot is responsive.');
-        break;
-        
-      case 'provider':
-        await this.handleProviderCommand(sender, args);
-        break;
-        
-      case 'system':
-        const promptText = args.join(' ').trim();
-        if (!promptText) {
-          // Show current system prompt
-          const settings = this.llmService.getUserSettings(sender);
-          await this.adapter.sendMessage(sender, `Current system prompt: "${settings.systemPrompt}"`);
-        } else {
-          // Update system prompt
-          const updateResult = this.llmService.updateSystemPrompt(sender, promptText);
-          await this.adapter.sendMessage(sender, updateResult.message);
-        }
-        break;
-        
+  async reply(sender, message, context = {}) {
+    // Voice notes were checked before they were transcribed
+    if (!context.limitsChecked && !(await this.checkLimits(sender, context))) {
+      return;
+    }
+    
+    if (this.shouldReplyWithVoice(sender, context)) {
+      const response = await this.llmService.getResponse(sender, message, context);
+      await this.sendVoiceReply(sender, response);
+      return;
+    }
+    
+    // Stream the reply through the adapter as it is generated
+    // (getResponse records both sides of the exchange in the history)
+    if (this.config.streamResponses) {
+      const stream = this.adapter.createMessageStream(sender);
+      const response = await this.llmService.getResponse(sender, message, context, {
+        onToken: (delta) => stream.write(delta)
+      });
+      await stream.end(response);
+      return;
+    }
+    
+    // Get response from LLM
+    const response = await this.llmService.getResponse(sender, message, context);
+    
+    // Send response back through the adapter
+    await this.adapter.sendMessage(sender, response);
+  }
+
+  /**
+   * Check rate limits and token quotas for a message, counting it if it is
+   * allowed and telling the sender if it isn't (admins are exempt)
+   * @param {string} sender - Conversation identifier
+   * @param {Object} context - Message context
+   * @returns {Promise<boolean>} - Whether the message may be answered
+   */
+  async checkLimits(sender, context = {}) {
+    if (this.isExemptFromLimits(sender, context)) {
+      return true;
+    }
+    
+    const limit = this.quotas.check(context.senderId || sender, context.isGroup ? sender : null);
+    if (!limit.allowed) {
+      console.log(`Not replying to ${context.senderId || sender}: ${limit.reason} limit reached`);
+      if (limit.notify) {
+        await this.adapter.sendMessage(sender, limit.message);
+      }
+    }
+    return limit.allowed;
+  }
+
+  /**
+   * Check whether the reply to a message should be spoken
+   * @param {string} sender - Conversation identifier
+   * @param {Object} context - Message context
+   * @returns {boolean}
+   */
+  shouldReplyWithVoice(sender, context = {}) {
+    if (!this.speechService.isSpeechEnabled()) {
+      return false;
+    }
+    
+    const mode = this.llmService.getUserSettings(sender).voiceReplies || this.config.voiceReplies;
+    return mode === 'on' || (mode === 'auto' && !!context.audio);
+  }
+
+  /**
+   * Send a reply as a voice note, falling back to text if speech fails
+   * @param {string} sender - Conversation identifier
+   * @param {string} response - Reply text
+   * @returns {Promise<void>}
+   */
+  async sendVoiceReply(sender, response) {
+    // Don't read out a reasoning model's thinking
+    const spoken = response.replace(/<think>[\s\S]*?<\/think>/g, '').trim();
+    
+    try {
+      const audio = await this.speechService.synthesize(spoken);
+      await this.adapter.sendAudio(sender, audio);
+    } catch (error) {
+      console.error('Error sending voice reply:', error);
+      await this.adapter.sendMessage(sender, response);
+      return;
+    }
+    
+    // Long replies are easier to skim or copy as text
+    if (spoken.length > this.config.voiceTextThreshold) {
+      await this.adapter.sendMessage(sender, spoken);
+    }
+  }
+
+  /**
+   * Get the trigger mode of a group chat
+   * @param {string} groupId - Group identifier
+   * @returns {string} - One of TRIGGER_MODES
+   */
+  getTriggerMode(groupId) {
+    return this.llmService.getUserSettings(groupId).triggerMode || this.config.groupTriggerMode;
+  }
+
+  /**
+   * Check whether a group message should get a reply
+   * @param {string} groupId - Group identifier
+   * @param {Object} context - Message context
+   * @returns {boolean}
+   */
+  isTriggered(groupId, context) {
+    switch (this.getTriggerMode(groupId)) {
+      case 'always':
+        return true;
+      case 'mention':
+        return !!context.isMentioned;
+      case 'reply':
+        return !!context.isReplyToBot;
+      case 'prefix':
       default:
-        await this.adapter.sendMessage(sender, `Unknown command: ${cmd}. Type ${this.config.commandPrefix}help for available commands.`);
+        // Only commands (including !ask) get a reply
+        return false;
     }
   }
-  
+
+  /**
+   * Register additional chat commands
+   * @param {...Object} commands - Command definitions (see CommandRegistry)
+   */
+  registerCommand(...commands) {
+    this.commands.register(...commands);
+  }
+
   /**
-   * Handle provider-related commands
+   * Handle command messages
    * @param {string} sender - Sender identifier
-   * @param {Array} args - Command arguments
+   * @param {string} command - Command content (without prefix)
+   * @param {Object} context - Additional context
    * @returns {Promise<void>}
    */
-  async handleProviderCommand(sender, args = []) {
-    const subCommand = args[0]?.toLowerCase();
+  async handleCommand(sender, command, context = {}) {
+    const prefix = this.config.commandPrefix;
+    const reply = (text) => this.adapter.sendMessage(sender, text);
+    
+    const trimmed = command.trim();
+    const [name = ''] = trimmed.split(/\s+/, 1);
+    
+    // Argument text with its original whitespace and line breaks
+    let argText = trimmed.substring(name.length).trim();
     
-    // Default: show current provider
-    if (!subCommand) {
-      const provider = this.llmService.getCurrentProvider();
-      await this.adapter.sendMessage(sender, `Current provider: ${provider.name} (Model: ${provider.model})`);
+    const definition = this.commands.get(name);
+    if (!definition) {
+      await reply(this.formatUnknownCommand(name));
       return;
     }
     
-    switch (subCommand) {
-      case 'list':
-        // List available providers
-        const providers = this.llmService.getAvailableProviders();
-        let message = 'Available providers:\n';
-        
-        providers.forEach(provider => {
-          const status = provider.isConfigured ? '✅' : '❌';
-          message += `- ${provider.id}: ${provider.name} (${provider.model}) ${status}\n`;
-        });
-        
-        message += '\nUse "!provider set <id>" to switch providers.';
-        await this.adapter.sendMessage(sender, message);
-        break;
-        
-      case 'set':
-        // Switch provider
-        const providerId = args[1]?.toLowerCase();
-        
-        if (!providerId) {
-          await this.adapter.sendMessage(sender, 'Please specify a provider ID. Use "!provider list" to see available providers.');
-          return;
-        }
-        
-        // Update user settings
-        const userSettings = this.llmService.getUserSettings(sender);
-        userSettings.provider = providerId;
-        this.llmService.getUserSettings(sender, userSettings);
-        
-        // Switch the provider
-        const result = this.llmService.switchProvider(providerId);
-        await this.adapter.sendMessage(sender, result.message);
-        break;
-        
-      default:
-        await this.adapter.sendMessage(sender, `Unknown subcommand: ${subCommand}. Available options are: list, set`);
+    // Route to a subcommand if the first argument names one
+    let target = definition;
+    if (definition.subcommands?.length && argText) {
+      const [subName] = argText.split(/\s+/, 1);
+      const subcommand = this.commands.getSubcommand(definition, subName);
+      
+      if (subcommand) {
+        target = subcommand;
+        argText = argText.substring(subName.length).trim();
+      } else if (!definition.args.length) {
+        const names = definition.subcommands.map(sub => sub.name);
+        const suggestions = this.commands.suggest(subName, names);
+        const hint = suggestions.length ? ` Did you mean ${suggestions.join(' or ')}?` : '';
+        await reply(`Unknown subcommand: ${subName}.${hint} Available options are: ${names.join(', ')}`);
+        return;
+      }
     }
+    
+    if (!this.canRunRole(sender, context, target.role || definition.role)) {
+      const name = target === definition ? definition.name : `${definition.name} ${target.name}`;
+      await reply(`Sorry, ${prefix}${name} is only available to ${target.role || definition.role}s.`);
+      return;
+    }
+    
+    if (!target.execute) {
+      await reply(`Usage:\n${this.commands.formatUsage(definition, prefix).join('\n')}`);
+      return;
+    }
+    
+    const parsed = this.commands.parseArgs(target.args, argText);
+    if (parsed.error) {
+      await reply(`${parsed.error}\n\nUsage:\n${this.commands.formatUsage(definition, prefix).join('\n')}`);
+      return;
+    }
+    
+    await target.execute({
+      args: parsed.args,
+      text: argText,
+      reply,
+      sender,
+      context,
+      prefix,
+      service: this,
+      llmService: this.llmService
+    });
+  }
+
+  /**
+   * Check whether the sender of a message has a role
+   * @param {string} sender - Conversation identifier
+   * @param {Object} context - Message context (senderId is the person in group chats)
+   * @param {string} role - Required role
+   * @returns {boolean}
+   */
+  canRunRole(sender, context = {}, role = 'user') {
+    return this.access.hasRole(context.senderId || sender, role);
+  }
+
+  /**
+   * Check whether the sender of a message may change the settings of its chat
+   * (trigger mode, persona, system prompt...). Anyone may in a private chat;
+   * in a group chat the settings apply to every member, so only admins may.
+   * @param {string} sender - Conversation identifier
+   * @param {Object} context - Message context
+   * @returns {boolean}
+   */
+  canChangeChatSettings(sender, context = {}) {
+    return !context.isGroup || this.canRunRole(sender, context, 'admin');
+  }
+
+  /**
+   * Check whether the sender of a message is exempt from rate limits and quotas
+   * @param {string} sender - Conversation identifier
+   * @param {Object} context - Message context
+   * @returns {boolean}
+   */
+  isExemptFromLimits(sender, context = {}) {
+    return this.canRunRole(sender, context, 'admin');
+  }
+
+  /**
+   * Get the ids of all chats the bot has talked to
+   * @returns {Array} - Conversation identifiers
+   */
+  getKnownChats() {
+    const store = this.llmService.store;
+    // Threads other than a chat's first are stored as "<chat id>#<thread id>"
+    const ids = [...store.entries('conversations'), ...store.entries('userSettings')].map(([id]) => id.split('#')[0]);
+    return [...new Set(ids)];
+  }
+
+  /**
+   * Build the reply to an unknown command, with suggestions for typos
+   * @param {string} name - Command name as typed
+   * @returns {string}
+   */
+  formatUnknownCommand(name) {
+    const prefix = this.config.commandPrefix;
+    const suggestions = this.commands.suggest(name).map(suggestion => `${prefix}${suggestion}`);
+    const hint = suggestions.length ? ` Did you mean ${suggestions.join(' or ')}?` : '';
+    return `Unknown command: ${name}.${hint} Type ${prefix}help for available commands.`;
   }
 
   /**
@@ -193,6 +459,11 @@ ${this.config.commandPrefix}system <prompt> - Set system prompt
    * @returns {Promise<void>}
    */
   async close() {
-    await this.adapter.close();
+    // Save the store even if the platform connection fails to close
+    try {
+      await this.adapter.close();
+    } finally {
+      await this.llmService.close();
+    }
   }
 }
\ No newline at end of file
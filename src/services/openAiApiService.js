@@ -0,0 +1,361 @@
+import crypto from 'crypto';
+import { GENERATION_PARAMETERS } from './llmService.js';
+import { isProviderError } from '../utils/retry.js';
+
+/**
+ * Model name that means "whatever the user has picked with !provider and !model"
+ */
+const USER_MODEL = 'bot';
+
+/**
+ * Conversation modes: "stateless" completes the messages of each request as
+ * they are; "history" sends only the latest user message and answers from the
+ * bot's stored conversation, like a chat message would
+ */
+const MODES = ['stateless', 'history'];
+
+/**
+ * Roles accepted in request messages
+ */
+const MESSAGE_ROLES = ['system', 'developer', 'user', 'assistant', 'tool'];
+
+/**
+ * Build an error response in the OpenAI format
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @param {string} type - Error type
+ * @param {string} code - Error code (optional)
+ * @returns {Object} - { status, body }
+ */
+const apiError = (status, message, type = 'invalid_request_error', code = null) => ({
+  status,
+  body: { error: { message, type, param: null, code } }
+});
+
+/**
+ * Get the text of a message's content, which may be a list of parts
+ * @param {string|Array} content - Message content
+ * @returns {string}
+ */
+const contentText = (content) => (Array.isArray(content)
+  ? content.filter(part => part.type === 'text').map(part => part.text).join('\n')
+  : content || '');
+
+/**
+ * OpenAI-compatible API Service
+ *
+ * Serves /v1/chat/completions and /v1/models on the HTTP adapter, so apps
+ * written for the OpenAI API can use the bot with its failover, personas and
+ * per-user settings. The "user" field of a request is the bot user id, and
+ * the model is a provider ("groq"), a provider and model ("groq/llama-3.1-8b"),
+ * a model id of a configured provider, or "bot" for the user's own choice.
+ *
+ * The mode (see MODES) is set with the X-Bot-Mode header, falling back to
+ * the configured default. In history mode the user's own provider and model
+ * answer, whatever the request names.
+ */
+export class OpenAiApiService {
+  /**
+   * @param {Object} messageService - Message service whose LLM, access, quota and persona services to use
+   * @param {Object} config - Configuration options
+   */
+  constructor(messageService, config = {}) {
+    this.config = {
+      mode: MODES.includes(process.env.HTTP_OPENAI_MODE) ? process.env.HTTP_OPENAI_MODE : 'stateless',
+      defaultUser: 'api-user', // User id for requests without a "user" field
+      platform: null, // Platform to namespace user ids with, when running several adapters (see MultiAdapter)
+      ...config
+    };
+    this.messageService = messageService;
+    this.llmService = messageService.llmService;
+  }
+
+  /**
+   * Add the API routes to an HTTP adapter
+   * @param {HttpAdapter} adapter - HTTP adapter
+   */
+  register(adapter) {
+    adapter.addRoute('GET', '/v1/models', this.handleListModels.bind(this));
+    adapter.addRoute('POST', '/v1/chat/completions', this.handleChatCompletion.bind(this));
+  }
+
+  /**
+   * Handle GET /v1/models: the configured providers' models
+   * @returns {Promise<Object>} - { status, body }
+   */
+  async handleListModels() {
+    const created = Math.floor(Date.now() / 1000);
+    const model = (id, ownedBy) => ({ id, object: 'model', created, owned_by: ownedBy });
+
+    const models = this.llmService.getAvailableProviders()
+      .filter(provider => provider.isConfigured)
+      .flatMap(provider => provider.models.map(id => model(`${provider.id}/${id}`, provider.id)));
+
+    return { status: 200, body: { object: 'list', data: [model(USER_MODEL, 'llm-bot'), ...models] } };
+  }
+
+  /**
+   * Work out which provider and model a requested model name refers to
+   * @param {string} name - Model name from the request
+   * @returns {Object|null} - { provider, model } (both null for the user's own choice), or null if unknown
+   */
+  resolveModelName(name) {
+    if (!name || name === USER_MODEL) {
+      return { provider: null, model: null };
+    }
+
+    const providers = this.llmService.getAvailableProviders().filter(provider => provider.isConfigured);
+
+    // "provider" or "provider/model" (model ids can contain slashes too, e.g. on OpenRouter)
+    const [prefix, ...rest] = name.split('/');
+    const byId = providers.find(provider => provider.id === prefix.toLowerCase());
+    if (byId) {
+      return { provider: byId.id, model: rest.length ? rest.join('/') : null };
+    }
+
+    const byModel = providers.find(provider => provider.models.includes(name));
+    return byModel ? { provider: byModel.id, model: name } : null;
+  }
+
+  /**
+   * Check a chat completion request
+   * @param {Object} body - Request body
+   * @returns {string|null} - Error message, or null if the request is valid
+   */
+  validateRequest(body) {
+    if (!Array.isArray(body.messages) || !body.messages.length) {
+      return '"messages" must be a non-empty array';
+    }
+
+    const invalid = body.messages.findIndex(msg => !msg || !MESSAGE_ROLES.includes(msg.role)
+      || !(typeof msg.content === 'string' || Array.isArray(msg.content) || (msg.content == null && msg.role === 'assistant')));
+    if (invalid >= 0) {
+      return `messages[${invalid}] must have a role (${MESSAGE_ROLES.join(', ')}) and content`;
+    }
+
+    if (body.user !== undefined && (typeof body.user !== 'string' || !body.user)) {
+      return '"user" must be a non-empty string';
+    }
+
+    const badParameter = Object.keys(GENERATION_PARAMETERS)
+      .find(name => body[name] != null && typeof body[name] !== 'number');
+    return badParameter ? `"${badParameter}" must be a number` : null;
+  }
+
+  /**
+   * Handle POST /v1/chat/completions
+   * @param {http.IncomingMessage} request - Request
+   * @param {Object} body - Chat completion request
+   * @param {http.ServerResponse} response - Response, written directly when streaming
+   * @returns {Promise<Object|null>} - { status, body }, or null if the response was streamed
+   */
+  async handleChatCompletion(request, body, response) {
+    const error = this.validateRequest(body);
+    if (error) return apiError(400, error);
+
+    const mode = request.headers['x-bot-mode'] || this.config.mode;
+    if (!MODES.includes(mode)) {
+      return apiError(400, `X-Bot-Mode must be one of: ${MODES.join(', ')}`);
+    }
+    if (mode === 'history' && !body.messages.some(msg => msg.role === 'user')) {
+      return apiError(400, 'History mode needs a user message');
+    }
+
+    const target = this.resolveModelName(body.model);
+    if (!target) {
+      return apiError(404, `The model "${body.model}" does not exist. See /v1/models.`, 'invalid_request_error', 'model_not_found');
+    }
+
+    // Access lists, rate limits and quotas apply as they do in chats
+    const user = body.user || this.config.defaultUser;
+    const userId = this.config.platform ? `${this.config.platform}:${user}` : user;
+    const { access, quotas, personas } = this.messageService;
+    if (!access.isAllowed(userId)) {
+      return apiError(403, 'This user is not allowed to use the bot.', 'permission_error');
+    }
+    if (!this.messageService.isExemptFromLimits(userId, { senderId: userId })) {
+      const limit = quotas.check(userId);
+      if (!limit.allowed) {
+        return apiError(429, limit.message, 'rate_limit_error', limit.reason);
+      }
+    }
+    personas.applyDefaultPersona(userId);
+
+    const completion = {
+      id: `chatcmpl-${crypto.randomUUID()}`,
+      created: Math.floor(Date.now() / 1000),
+      model: body.model || USER_MODEL
+    };
+    const stream = body.stream ? this.startStream(response, completion, body.stream_options?.include_usage) : null;
+
+    // Stop generating if the client disconnects before the reply is complete
+    const abort = new AbortController();
+    response.on('close', () => {
+      if (!response.writableEnded) abort.abort();
+    });
+
+    try {
+      const result = mode === 'history'
+        ? await this.completeFromHistory(userId, body, stream, abort.signal)
+        : await this.completeStateless(userId, body, target, stream, abort.signal);
+
+      if (stream) {
+        stream.finish(result);
+        return null;
+      }
+
+      return {
+        status: 200,
+        body: {
+          ...completion,
+          object: 'chat.completion',
+          model: result.model,
+          choices: [{ index: 0, message: result.message, finish_reason: result.finishReason }],
+          ...(result.usage ? { usage: result.usage } : {})
+        }
+      };
+    } catch (error) {
+      if (abort.signal.aborted) {
+        console.log(`Client disconnected; stopped the completion for ${userId}`);
+        return null;
+      }
+      console.error('Error in OpenAI-compatible chat completion:', error);
+
+      // Errors a provider blames on the request (e.g. an unknown model or too
+      // much input) are the client's to fix; anything else is an outage
+      const isRequestError = !!error.status && !isProviderError(error);
+      const message = isRequestError ? error.message : 'No LLM provider could answer the request.';
+      const type = isRequestError ? 'invalid_request_error' : 'api_error';
+      if (stream) {
+        stream.fail(message, type);
+        return null;
+      }
+      return apiError(isRequestError ? 400 : 502, message, type);
+    }
+  }
+
+  /**
+   * Complete the request's messages as they are
+   * @param {string} userId - User identifier
+   * @param {Object} body - Chat completion request
+   * @param {Object} target - Provider and model (see resolveModelName)
+   * @param {Object} stream - SSE stream (optional)
+   * @param {AbortSignal} signal - Cancels the completion (optional)
+   * @returns {Promise<Object>} - { message, model, finishReason, usage }
+   */
+  async completeStateless(userId, body, target, stream, signal = null) {
+    const parameters = Object.fromEntries(
+      Object.keys(GENERATION_PARAMETERS).filter(name => body[name] != null).map(name => [name, body[name]])
+    );
+    const messages = body.messages.map(msg => (msg.role === 'developer' ? { ...msg, role: 'system' } : msg));
+
+    const { reply, answeredBy } = await this.llmService.completeMessages(userId, messages, {
+      ...target,
+      parameters,
+      tools: body.tools,
+      onToken: stream ? (delta) => stream.write(delta) : null,
+      signal
+    });
+
+    const message = { role: 'assistant', content: reply.content ?? null };
+    if (reply.tool_calls?.length) {
+      message.tool_calls = reply.tool_calls;
+    }
+
+    return {
+      message,
+      model: `${answeredBy.id}/${answeredBy.model}`,
+      finishReason: reply.tool_calls?.length ? 'tool_calls' : 'stop',
+      usage: reply.usage
+    };
+  }
+
+  /**
+   * Answer the latest user message from the bot's stored conversation
+   * The user's own provider, model and settings are used, as in a chat.
+   * @param {string} userId - User identifier
+   * @param {Object} body - Chat completion request
+   * @param {Object} stream - SSE stream (optional)
+   * @param {AbortSignal} signal - Cancels the completion (optional)
+   * @returns {Promise<Object>} - { message, model, finishReason }
+   */
+  async completeFromHistory(userId, body, stream, signal = null) {
+    const latest = [...body.messages].reverse().find(msg => msg.role === 'user');
+
+    // Images sent as data URLs
+    const images = (Array.isArray(latest.content) ? latest.content : [])
+      .map(part => part.type === 'image_url' && part.image_url?.url?.match(/^data:([^;]+);base64,(.+)$/))
+      .filter(Boolean)
+      .map(([, mimeType, data]) => ({ mimeType, data }));
+
+    // Provider errors are thrown, so the client gets an error rather than a chat apology
+    const { text, answeredBy } = await this.llmService.generateResponse(userId, contentText(latest.content), {
+      senderId: userId,
+      images
+    }, {
+      onToken: stream ? (delta) => stream.write(delta) : undefined,
+      signal
+    });
+
+    // The model that answered, which after a failover isn't the user's own
+    const current = answeredBy || this.llmService.getCurrentProvider(userId);
+    return {
+      message: { role: 'assistant', content: text },
+      model: `${current.id}/${current.model}`,
+      finishReason: 'stop'
+    };
+  }
+
+  /**
+   * Start a server-sent events response for a streamed completion
+   * @param {http.ServerResponse} response - Response
+   * @param {Object} completion - { id, created, model }
+   * @param {boolean} includeUsage - Whether to send a usage chunk at the end
+   * @returns {Object} - { write(delta), finish(result), fail(message, type) }
+   */
+  startStream(response, completion, includeUsage = false) {
+    response.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+
+    const send = (data) => response.write(`data: ${JSON.stringify(data)}\n\n`);
+    const chunk = (choices, extra = {}) => send({ ...completion, object: 'chat.completion.chunk', choices, ...extra });
+    let written = '';
+
+    return {
+      write: (delta) => {
+        chunk([{ index: 0, delta: written ? { content: delta } : { role: 'assistant', content: delta }, finish_reason: null }]);
+        written += delta;
+      },
+      finish: (result) => {
+        // Send whatever wasn't streamed, e.g. replies from providers that can't stream
+        const content = result.message.content || '';
+        const delta = content.startsWith(written) ? content.substring(written.length) : '';
+        if (delta || result.message.tool_calls || !written) {
+          chunk([{
+            index: 0,
+            delta: {
+              ...(written ? {} : { role: 'assistant' }),
+              ...(delta || !written ? { content: delta } : {}),
+              ...(result.message.tool_calls
+                ? { tool_calls: result.message.tool_calls.map((call, index) => ({ index, ...call })) }
+                : {})
+            },
+            finish_reason: null
+          }]);
+        }
+        chunk([{ index: 0, delta: {}, finish_reason: result.finishReason }], { model: result.model });
+        if (includeUsage && result.usage) {
+          chunk([], { model: result.model, usage: result.usage });
+        }
+        response.end('data: [DONE]\n\n');
+      },
+      fail: (message, type = 'api_error') => {
+        send({ error: { message, type, param: null, code: null } });
+        response.end('data: [DONE]\n\n');
+      }
+    };
+  }
+}
@@ -0,0 +1,207 @@
+/**
+ * Personas shipped with the bot
+ */
+export const BUILTIN_PERSONAS = {
+  assistant: {
+    description: 'Helpful general assistant (the default)',
+    prompt: 'You are a helpful assistant. Be concise and friendly in your responses.'
+  },
+  concise: {
+    description: 'Short, direct answers',
+    prompt: 'You are a terse assistant. Answer in as few words as possible, without greetings, caveats or filler. '
+      + 'Use a list only when it is shorter than prose.'
+  },
+  tutor: {
+    description: 'Patient teacher that explains step by step',
+    prompt: 'You are a patient tutor. Explain ideas step by step with simple examples, check understanding with '
+      + 'a short question at the end, and never make the learner feel bad for not knowing something.'
+  },
+  coder: {
+    description: 'Programming help with code examples',
+    prompt: 'You are an experienced software engineer. Give working code examples, point out pitfalls and '
+      + 'edge cases, and keep explanations short. Format code in code blocks.'
+  },
+  translator: {
+    description: 'Translates messages between languages',
+    prompt: 'You are a translator. If a message is in English, translate it to the language the user asked for '
+      + '(Spanish if they have not said); otherwise translate it to English. Reply with the translation only.'
+  },
+  brainstorm: {
+    description: 'Creative partner for ideas',
+    prompt: 'You are an enthusiastic brainstorming partner. Offer several varied, creative ideas, build on the '
+      + 'user\'s suggestions, and ask a question that pushes the thinking further.'
+  }
+};
+
+/**
+ * Persona Service
+ *
+ * A persona is a named system prompt. Built-in personas ship with the bot;
+ * users can save their own, which are kept per person in the store's
+ * "personas" collection so they can use them in any chat. Using a persona
+ * sets the chat's system prompt and remembers the persona's name in the
+ * chat's settings. Chats that never picked a persona or prompt start with
+ * the configured default persona (a separate one can be set for groups).
+ */
+export class PersonaService {
+  /**
+   * @param {Object} config - Configuration options
+   * @param {Object} config.llmService - LLM service holding the chat settings
+   */
+  constructor(config = {}) {
+    this.config = {
+      defaultPersona: process.env.DEFAULT_PERSONA || null, // Persona for new private chats
+      groupPersona: process.env.GROUP_PERSONA || null, // Persona for new group chats
+      maxSavedPersonas: 20, // Personas each user can save
+      ...config
+    };
+    this.llmService = this.config.llmService;
+    this.store = this.llmService.store;
+  }
+
+  /**
+   * Normalize a persona name ("My Persona" becomes "my-persona")
+   * @param {string} name - Persona name
+   * @returns {string}
+   */
+  normalizeName(name) {
+    return String(name || '').trim().toLowerCase().replace(/\s+/g, '-');
+  }
+
+  /**
+   * Get the personas a user has saved
+   * @param {string} userId - Person identifier
+   * @returns {Object} - Personas by name ({ prompt, savedAt })
+   */
+  getSavedPersonas(userId) {
+    return this.store.get('personas', userId) || {};
+  }
+
+  /**
+   * Find a persona by name, looking at the user's own personas first
+   * @param {string} userId - Person identifier (null for built-in personas only)
+   * @param {string} name - Persona name
+   * @returns {Object|null} - { name, prompt, builtin, description }
+   */
+  getPersona(userId, name) {
+    const key = this.normalizeName(name);
+
+    const saved = userId ? this.getSavedPersonas(userId)[key] : null;
+    if (saved) {
+      return { name: key, prompt: saved.prompt, builtin: false };
+    }
+
+    const builtin = BUILTIN_PERSONAS[key];
+    return builtin ? { name: key, prompt: builtin.prompt, description: builtin.description, builtin: true } : null;
+  }
+
+  /**
+   * List the built-in personas and a user's own
+   * @param {string} userId - Person identifier
+   * @returns {Array} - [{ name, prompt, builtin, description }]
+   */
+  listPersonas(userId) {
+    const builtins = Object.entries(BUILTIN_PERSONAS)
+      .map(([name, persona]) => ({ name, prompt: persona.prompt, description: persona.description, builtin: true }));
+    const saved = Object.entries(this.getSavedPersonas(userId))
+      .map(([name, persona]) => ({ name, prompt: persona.prompt, builtin: false }));
+
+    return [...builtins, ...saved];
+  }
+
+  /**
+   * Save a persona to a user's library
+   * @param {string} userId - Person identifier
+   * @param {string} name - Persona name
+   * @param {string} prompt - System prompt
+   * @returns {Object} - Result of the operation
+   */
+  savePersona(userId, name, prompt) {
+    const key = this.normalizeName(name);
+
+    if (!/^[a-z0-9_-]{1,32}$/.test(key)) {
+      return { success: false, message: 'Persona names can have up to 32 letters, digits, "-" and "_".' };
+    }
+    if (BUILTIN_PERSONAS[key]) {
+      return { success: false, message: `${key} is a built-in persona. Please pick another name.` };
+    }
+    if (!prompt?.trim()) {
+      return { success: false, message: 'A persona needs a system prompt.' };
+    }
+
+    const saved = this.getSavedPersonas(userId);
+    if (!saved[key] && Object.keys(saved).length >= this.config.maxSavedPersonas) {
+      return { success: false, message: `You can save up to ${this.config.maxSavedPersonas} personas. Delete one first.` };
+    }
+
+    this.store.set('personas', userId, { ...saved, [key]: { prompt: prompt.trim(), savedAt: Date.now() } });
+    return { success: true, message: `Persona ${key} saved.` };
+  }
+
+  /**
+   * Delete a persona from a user's library
+   * @param {string} userId - Person identifier
+   * @param {string} name - Persona name
+   * @returns {Object} - Result of the operation
+   */
+  deletePersona(userId, name) {
+    const key = this.normalizeName(name);
+    const { [key]: removed, ...rest } = this.getSavedPersonas(userId);
+
+    if (!removed) {
+      return { success: false, message: `You have no saved persona called ${key}.` };
+    }
+
+    this.store.set('personas', userId, rest);
+    return { success: true, message: `Persona ${key} deleted.` };
+  }
+
+  /**
+   * Use a persona in a chat
+   * @param {string} chatId - Conversation identifier
+   * @param {string} userId - Person whose saved personas to look in
+   * @param {string} name - Persona name
+   * @returns {Object} - Result of the operation
+   */
+  usePersona(chatId, userId, name) {
+    const persona = this.getPersona(userId, name);
+    if (!persona) {
+      return { success: false, message: `Unknown persona: ${this.normalizeName(name)}.` };
+    }
+
+    const result = this.llmService.updateSystemPrompt(chatId, persona.prompt);
+    if (!result.success) {
+      return result;
+    }
+
+    this.llmService.getUserSettings(chatId, { persona: persona.name });
+    return { success: true, message: `Now using the ${persona.name} persona.` };
+  }
+
+  /**
+   * Give a chat the default persona if it has never picked a persona or prompt
+   * @param {string} chatId - Conversation identifier
+   * @param {boolean} isGroup - Whether the chat is a group
+   */
+  applyDefaultPersona(chatId, isGroup = false) {
+    const settings = this.llmService.getUserSettings(chatId);
+    if (settings.persona !== undefined) return;
+
+    const name = (isGroup && this.config.groupPersona) || this.config.defaultPersona;
+    const persona = name ? this.getPersona(null, name) : null;
+    if (name && !persona) {
+      console.warn(`Default persona "${name}" is not a built-in persona`);
+    }
+    const isDefaultPrompt = settings.systemPrompt === this.llmService.config.defaultSystemPrompt;
+
+    if (persona && isDefaultPrompt) {
+      this.llmService.updateSystemPrompt(chatId, persona.prompt);
+    }
+
+    // Recorded once, so a later !system or !persona choice sticks. Without a
+    // configured default, chats on the stock prompt are on the assistant persona.
+    const current = Object.keys(BUILTIN_PERSONAS)
+      .find(key => BUILTIN_PERSONAS[key].prompt === this.llmService.getUserSettings(chatId).systemPrompt);
+    this.llmService.getUserSettings(chatId, { persona: current || null });
+  }
+}
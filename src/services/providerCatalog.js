@@ -0,0 +1,276 @@
+import fs from 'fs-extra';
+import path from 'path';
+import YAML from 'yaml';
+
+/**
+ * Capability flags a provider or model can set
+ */
+const CAPABILITIES = ['vision', 'tools', 'streaming'];
+
+/**
+ * Keys allowed in a provider entry of the catalog file
+ */
+const PROVIDER_KEYS = [
+  'name', 'baseURL', 'apiKey', 'apiKeyEnv', 'model', 'defaultModel', 'models',
+  'contextLimit', 'parameters', 'parameterRanges', 'enabled', ...CAPABILITIES
+];
+
+/**
+ * Keys allowed in a model entry of the catalog file
+ */
+const MODEL_KEYS = ['id', 'contextLimit', 'parameters', ...CAPABILITIES];
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Provider Catalog
+ *
+ * Loads LLM providers and their models from a JSON or YAML file and merges
+ * them with the built-in providers. A file entry with the id of a built-in
+ * provider changes only the fields it sets; `enabled: false` removes it.
+ *
+ *   providers:
+ *     ollama:
+ *       name: Ollama
+ *       baseURL: http://localhost:11434/v1
+ *       apiKey: ollama              # Or apiKeyEnv: OLLAMA_API_KEY
+ *       tools: true                 # Capabilities of all models (vision, tools, streaming)
+ *       parameters: { temperature: 0.7 }
+ *       parameterRanges: { temperature: { min: 0, max: 1 } }
+ *       models:
+ *         - llama3.1:8b
+ *         - id: llava:13b
+ *           vision: true
+ *           contextLimit: 4096
+ *       defaultModel: llama3.1:8b
+ *
+ * Merged providers have the shape LlmService uses: { name, apiKey, baseURL,
+ * model (the default model id), models: [{ id, ...capabilities }], vision,
+ * tools, streaming, contextLimit, parameters, parameterRanges }.
+ */
+export class ProviderCatalog {
+  /**
+   * @param {Object} config - Configuration options
+   * @param {string} config.file - Path of the catalog file (optional)
+   */
+  constructor(config = {}) {
+    this.config = {
+      file: process.env.PROVIDERS_FILE,
+      ...config
+    };
+  }
+
+  /**
+   * Read and validate the catalog file
+   * @returns {Object} - Provider entries by id (empty if there is no file)
+   * @throws {Error} - If the file can't be read or is invalid
+   */
+  read() {
+    if (!this.config.file) return {};
+
+    const text = fs.readFileSync(this.config.file, 'utf8');
+    const data = ['.yaml', '.yml'].includes(path.extname(this.config.file).toLowerCase())
+      ? YAML.parse(text)
+      : JSON.parse(text);
+
+    const errors = this.validate(data);
+    if (errors.length) {
+      throw new Error(`Invalid provider catalog ${this.config.file}:\n- ${errors.join('\n- ')}`);
+    }
+
+    return Object.fromEntries(
+      Object.entries(data.providers).map(([id, entry]) => [id.toLowerCase(), entry])
+    );
+  }
+
+  /**
+   * Validate the contents of a catalog file
+   * @param {Object} data - Parsed file
+   * @returns {Array} - Error messages (empty if valid)
+   */
+  validate(data) {
+    if (!isObject(data) || !isObject(data.providers)) {
+      return ['the file must contain a "providers" object'];
+    }
+
+    const errors = [];
+    Object.entries(data.providers).forEach(([id, entry]) => {
+      const at = `providers.${id}`;
+
+      if (!/^[a-z0-9_-]+$/i.test(id)) {
+        errors.push(`${at}: ids may only contain letters, digits, "-" and "_"`);
+      }
+      if (!isObject(entry)) {
+        errors.push(`${at}: must be an object`);
+        return;
+      }
+
+      Object.keys(entry)
+        .filter(key => !PROVIDER_KEYS.includes(key))
+        .forEach(key => errors.push(`${at}.${key}: unknown setting`));
+
+      ['name', 'apiKey', 'apiKeyEnv', 'model', 'defaultModel'].forEach(key => {
+        if (entry[key] !== undefined && typeof entry[key] !== 'string') {
+          errors.push(`${at}.${key}: must be a string`);
+        }
+      });
+
+      if (entry.baseURL !== undefined) {
+        try {
+          new URL(entry.baseURL);
+        } catch {
+          errors.push(`${at}.baseURL: must be a URL`);
+        }
+      }
+
+      errors.push(...this.validateOptions(entry, at));
+
+      if (entry.models !== undefined) {
+        if (!Array.isArray(entry.models) || !entry.models.length) {
+          errors.push(`${at}.models: must be a non-empty list`);
+        } else {
+          entry.models.forEach((model, index) => {
+            const modelAt = `${at}.models[${index}]`;
+            if (typeof model === 'string') return;
+            if (!isObject(model) || typeof model.id !== 'string' || !model.id) {
+              errors.push(`${modelAt}: must be a model id or an object with an "id"`);
+              return;
+            }
+            Object.keys(model)
+              .filter(key => !MODEL_KEYS.includes(key))
+              .forEach(key => errors.push(`${modelAt}.${key}: unknown setting`));
+            errors.push(...this.validateOptions(model, modelAt));
+          });
+
+          const ids = entry.models.map(model => (typeof model === 'string' ? model : model?.id));
+          const defaultModel = entry.defaultModel || entry.model;
+          if (defaultModel && !ids.includes(defaultModel)) {
+            errors.push(`${at}.defaultModel: "${defaultModel}" is not in the models list`);
+          }
+        }
+      }
+
+      if (entry.parameterRanges !== undefined) {
+        if (!isObject(entry.parameterRanges)) {
+          errors.push(`${at}.parameterRanges: must be an object`);
+        } else {
+          Object.entries(entry.parameterRanges).forEach(([name, range]) => {
+            if (!isObject(range) || ['min', 'max'].some(key => range[key] !== undefined && typeof range[key] !== 'number')) {
+              errors.push(`${at}.parameterRanges.${name}: must be an object with numeric min and/or max`);
+            }
+          });
+        }
+      }
+
+      if (entry.enabled !== undefined && typeof entry.enabled !== 'boolean') {
+        errors.push(`${at}.enabled: must be true or false`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Validate the capability flags, context limit and parameters of a provider or model
+   * @param {Object} entry - Provider or model entry
+   * @param {string} at - Location for error messages
+   * @returns {Array} - Error messages
+   */
+  validateOptions(entry, at) {
+    const errors = [];
+
+    CAPABILITIES.forEach(key => {
+      if (entry[key] !== undefined && typeof entry[key] !== 'boolean') {
+        errors.push(`${at}.${key}: must be true or false`);
+      }
+    });
+    if (entry.contextLimit !== undefined && !(Number.isInteger(entry.contextLimit) && entry.contextLimit > 0)) {
+      errors.push(`${at}.contextLimit: must be a positive whole number`);
+    }
+    if (entry.parameters !== undefined && !isObject(entry.parameters)) {
+      errors.push(`${at}.parameters: must be an object`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Merge catalog entries into the built-in providers
+   * @param {Object} builtins - Built-in providers by id
+   * @param {Object} entries - Catalog entries by id (see read())
+   * @returns {Object} - Providers by id
+   * @throws {Error} - If a new provider is missing required settings
+   */
+  merge(builtins, entries = {}) {
+    const providers = {};
+
+    Object.entries(builtins).forEach(([id, provider]) => {
+      providers[id] = this.normalize(id, { ...provider });
+    });
+
+    Object.entries(entries).forEach(([id, entry]) => {
+      if (entry.enabled === false) {
+        delete providers[id];
+        return;
+      }
+
+      const base = providers[id];
+      if (!base && !entry.baseURL) {
+        throw new Error(`Provider "${id}" in ${this.config.file} needs a baseURL`);
+      }
+      if (!base && !entry.models && !entry.model && !entry.defaultModel) {
+        throw new Error(`Provider "${id}" in ${this.config.file} needs at least one model`);
+      }
+
+      const { apiKeyEnv, defaultModel, enabled, models, ...settings } = entry;
+      const apiKey = entry.apiKey
+        || (apiKeyEnv ? process.env[apiKeyEnv] : undefined)
+        || base?.apiKey
+        || process.env[`${id.toUpperCase()}_API_KEY`];
+
+      const merged = {
+        ...(base || { name: id }),
+        ...settings,
+        apiKey,
+        parameters: { ...base?.parameters, ...entry.parameters },
+        parameterRanges: { ...base?.parameterRanges, ...entry.parameterRanges }
+      };
+
+      if (models) {
+        merged.models = models.map(model => (typeof model === 'string' ? { id: model } : { ...model }));
+      }
+      merged.model = defaultModel || entry.model || (models ? merged.models[0].id : base.model);
+
+      providers[id] = this.normalize(id, merged);
+    });
+
+    return providers;
+  }
+
+  /**
+   * Make sure a provider lists its default model and has all capability flags
+   * @param {string} id - Provider id
+   * @param {Object} provider - Provider settings
+   * @returns {Object} - Normalized provider
+   */
+  normalize(id, provider) {
+    const models = provider.models ? [...provider.models] : [];
+    if (!models.some(model => model.id === provider.model)) {
+      models.unshift({ id: provider.model });
+    }
+
+    return {
+      vision: false,
+      tools: false,
+      streaming: true,
+      parameters: {},
+      ...provider,
+      models
+    };
+  }
+}
@@ -0,0 +1,198 @@
+import { getPeriods } from '../utils/periods.js';
+
+/**
+ * Read a non-negative integer from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value if the variable is unset or invalid
+ * @returns {number}
+ */
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return value >= 0 ? value : fallback;
+};
+
+/**
+ * Quota Service
+ *
+ * Throttles how often users and groups can ask the LLM (messages per minute,
+ * kept in memory) and caps how many tokens each user can spend per day and
+ * per month. Token counts come from the usage reported by LlmService and
+ * are kept in the store's "quotas" collection. A limit of 0 means unlimited.
+ */
+export class QuotaService {
+  /**
+   * @param {Object} config - Configuration options
+   * @param {Object} config.store - Store for token counts
+   */
+  constructor(config = {}) {
+    this.config = {
+      userMessagesPerMinute: envInt('RATE_LIMIT_USER', 10),
+      groupMessagesPerMinute: envInt('RATE_LIMIT_GROUP', 30),
+      dailyTokens: envInt('QUOTA_DAILY_TOKENS', 0),
+      monthlyTokens: envInt('QUOTA_MONTHLY_TOKENS', 0),
+      windowMs: 60 * 1000, // Rate limit window
+      ...config
+    };
+    this.store = this.config.store;
+
+    // Recent request times per user or group, for the sliding window
+    this.requests = new Map();
+
+    // When each user was last told to slow down, so a message storm gets one notice
+    this.notified = new Map();
+    this.lastPruned = Date.now();
+  }
+
+  /**
+   * Forget users and groups that haven't sent anything within the window
+   * @param {number} now - Current time in milliseconds
+   */
+  prune(now) {
+    for (const [key, times] of this.requests) {
+      if (!times.length || now - times[times.length - 1] >= this.config.windowMs) {
+        this.requests.delete(key);
+      }
+    }
+    for (const [key, time] of this.notified) {
+      if (now - time >= this.config.windowMs) {
+        this.notified.delete(key);
+      }
+    }
+    this.lastPruned = now;
+  }
+
+  /**
+   * Get how long a user or group has to wait before a rate limit has room again
+   * @param {string} key - User or group identifier
+   * @param {number} limit - Requests per window (0 for unlimited)
+   * @param {number} now - Current time in milliseconds
+   * @returns {number} - 0 if a request is allowed now, otherwise milliseconds until it would be
+   */
+  getWait(key, limit, now) {
+    if (!limit) return 0;
+
+    const recent = (this.requests.get(key) || []).filter(time => now - time < this.config.windowMs);
+    return recent.length >= limit ? recent[0] + this.config.windowMs - now : 0;
+  }
+
+  /**
+   * Count a request against a rate limit
+   * @param {string} key - User or group identifier
+   * @param {number} limit - Requests per window (0 for unlimited)
+   * @param {number} now - Current time in milliseconds
+   */
+  recordRequest(key, limit, now) {
+    if (!limit) return;
+
+    const recent = (this.requests.get(key) || []).filter(time => now - time < this.config.windowMs);
+    recent.push(now);
+    this.requests.set(key, recent);
+  }
+
+  /**
+   * Get the tokens a user has used in the current day and month
+   * @param {string} userId - User identifier
+   * @returns {Object} - { day, month, dayTokens, monthTokens }
+   */
+  getUsage(userId) {
+    const periods = getPeriods();
+    const stored = this.store.get('quotas', userId) || {};
+
+    return {
+      ...periods,
+      dayTokens: stored.day === periods.day ? stored.dayTokens : 0,
+      monthTokens: stored.month === periods.month ? stored.monthTokens : 0
+    };
+  }
+
+  /**
+   * Add the tokens of a completion to the user's counts
+   * @param {Object} record - Usage record from LlmService
+   */
+  recordUsage(record) {
+    const usage = this.getUsage(record.userId);
+
+    this.store.set('quotas', record.userId, {
+      day: usage.day,
+      dayTokens: usage.dayTokens + record.totalTokens,
+      month: usage.month,
+      monthTokens: usage.monthTokens + record.totalTokens
+    });
+  }
+
+  /**
+   * Get a user's quota status
+   * @param {string} userId - User identifier
+   * @returns {Object} - Used, limit and remaining tokens for the day and month (limit 0 = unlimited)
+   */
+  getStatus(userId) {
+    const usage = this.getUsage(userId);
+    const status = (used, limit) => ({ used, limit, remaining: limit ? Math.max(limit - used, 0) : Infinity });
+
+    return {
+      daily: status(usage.dayTokens, this.config.dailyTokens),
+      monthly: status(usage.monthTokens, this.config.monthlyTokens),
+      messagesPerMinute: this.config.userMessagesPerMinute
+    };
+  }
+
+  /**
+   * Check whether a user may send a request to the LLM, and count it if so
+   * @param {string} userId - Person sending the message
+   * @param {string} groupId - Group the message was sent in (optional)
+   * @returns {Object} - { allowed: true } or { allowed: false, reason, message, notify }
+   */
+  check(userId, groupId = null) {
+    const status = this.getStatus(userId);
+
+    if (status.monthly.limit && !status.monthly.remaining) {
+      return {
+        allowed: false,
+        reason: 'monthly',
+        message: `You've used your monthly quota of ${status.monthly.limit} tokens. It resets at the start of next month (UTC).`,
+        notify: true
+      };
+    }
+
+    if (status.daily.limit && !status.daily.remaining) {
+      return {
+        allowed: false,
+        reason: 'daily',
+        message: `You've used your daily quota of ${status.daily.limit} tokens. It resets at midnight UTC.`,
+        notify: true
+      };
+    }
+
+    const now = Date.now();
+    if (now - this.lastPruned >= this.config.windowMs) {
+      this.prune(now);
+    }
+
+    // Both limits are checked before either counts the request, so a message
+    // the group limit turns away doesn't use up the sender's own limit
+    const userKey = `user:${userId}`;
+    const groupKey = groupId ? `group:${groupId}` : null;
+    const waitMs = Math.max(
+      this.getWait(userKey, this.config.userMessagesPerMinute, now),
+      groupKey ? this.getWait(groupKey, this.config.groupMessagesPerMinute, now) : 0
+    );
+
+    if (waitMs) {
+      const notify = now - (this.notified.get(userId) || 0) >= this.config.windowMs;
+      if (notify) this.notified.set(userId, now);
+
+      return {
+        allowed: false,
+        reason: 'rate',
+        message: `Whoa, that's a lot of messages! Please wait ${Math.ceil(waitMs / 1000)} second(s) and try again.`,
+        notify
+      };
+    }
+
+    this.recordRequest(userKey, this.config.userMessagesPerMinute, now);
+    if (groupKey) {
+      this.recordRequest(groupKey, this.config.groupMessagesPerMinute, now);
+    }
+    return { allowed: true };
+  }
+}
@@ -0,0 +1,134 @@
+import OpenAI, { toFile } from 'openai';
+
+/**
+ * File extensions for common audio MIME types, so the speech backend
+ * can tell the format from the uploaded file name
+ */
+const AUDIO_EXTENSIONS = {
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'aac',
+  'audio/wav': 'wav',
+  'audio/webm': 'webm'
+};
+
+/**
+ * Speech Service
+ *
+ * This service turns voice notes into text using any OpenAI-compatible
+ * /audio/transcriptions endpoint (OpenAI, Groq, or a local Whisper server),
+ * and text into voice notes using an OpenAI-compatible /audio/speech endpoint.
+ */
+export class SpeechService {
+  constructor(config = {}) {
+    // Speech-to-text backend configuration
+    this.config = {
+      stt: {
+        enabled: process.env.STT_ENABLED !== 'false',
+        apiKey: process.env.STT_API_KEY || process.env.OPENAI_API_KEY, // Any value works for local servers
+        baseURL: process.env.STT_BASE_URL || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        model: process.env.STT_MODEL || 'whisper-1',
+        language: process.env.STT_LANGUAGE, // Optional ISO-639-1 hint, e.g. "en"
+        ...config.stt
+      },
+      // Text-to-speech backend configuration
+      tts: {
+        enabled: process.env.TTS_ENABLED !== 'false',
+        apiKey: process.env.TTS_API_KEY || process.env.OPENAI_API_KEY, // Any value works for local servers
+        baseURL: process.env.TTS_BASE_URL || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        model: process.env.TTS_MODEL || 'tts-1',
+        voice: process.env.TTS_VOICE || 'alloy',
+        maxChars: 4096, // Longest text the endpoint accepts
+        ...config.tts
+      }
+    };
+
+    // OpenAI clients keyed by base URL and API key, created on first use
+    this.clients = new Map();
+  }
+
+  /**
+   * Get an OpenAI client for a backend
+   * @param {Object} backend - Backend configuration with baseURL and apiKey
+   * @returns {OpenAI} - Client for the backend
+   */
+  getClient(backend) {
+    const key = `${backend.baseURL}|${backend.apiKey}`;
+    
+    if (!this.clients.has(key)) {
+      this.clients.set(key, new OpenAI({
+        apiKey: backend.apiKey,
+        baseURL: backend.baseURL
+      }));
+    }
+    return this.clients.get(key);
+  }
+
+  /**
+   * Check whether voice notes can be transcribed
+   * @returns {boolean}
+   */
+  isTranscriptionEnabled() {
+    const { enabled, apiKey } = this.config.stt;
+    return enabled && !!apiKey;
+  }
+
+  /**
+   * Transcribe audio to text
+   * @param {Buffer} audio - Audio data
+   * @param {string} mimeType - Audio MIME type (e.g. "audio/ogg; codecs=opus")
+   * @returns {Promise<string>} - Transcript
+   */
+  async transcribe(audio, mimeType = 'audio/ogg') {
+    if (!this.isTranscriptionEnabled()) {
+      throw new Error('Speech-to-text is not configured');
+    }
+
+    const backend = this.config.stt;
+    const baseType = mimeType.split(';')[0].trim();
+    const file = await toFile(audio, `voice.${AUDIO_EXTENSIONS[baseType] || 'ogg'}`, { type: baseType });
+
+    const result = await this.getClient(backend).audio.transcriptions.create({
+      file,
+      model: backend.model,
+      ...(backend.language ? { language: backend.language } : {})
+    });
+
+    return (result.text || '').trim();
+  }
+
+  /**
+   * Check whether replies can be spoken
+   * @returns {boolean}
+   */
+  isSpeechEnabled() {
+    const { enabled, apiKey } = this.config.tts;
+    return enabled && !!apiKey;
+  }
+
+  /**
+   * Convert text to speech
+   * @param {string} text - Text to speak (cut to the backend's maximum length)
+   * @returns {Promise<Object>} - { mimeType, data (Buffer) } as Opus in an Ogg container
+   */
+  async synthesize(text) {
+    if (!this.isSpeechEnabled()) {
+      throw new Error('Text-to-speech is not configured');
+    }
+
+    const backend = this.config.tts;
+    const response = await this.getClient(backend).audio.speech.create({
+      model: backend.model,
+      voice: backend.voice,
+      input: text.slice(0, backend.maxChars),
+      // Opus in Ogg is what WhatsApp expects for voice notes
+      response_format: 'opus'
+    });
+
+    return {
+      mimeType: 'audio/ogg; codecs=opus',
+      data: Buffer.from(await response.arrayBuffer())
+    };
+  }
+}
@@ -0,0 +1,175 @@
+import fs from 'fs-extra';
+import { getPeriods } from '../utils/periods.js';
+
+/**
+ * Built-in prices in USD per million tokens, for the default models.
+ * Keys are "provider/model", "model" or "provider", most specific first.
+ */
+const DEFAULT_PRICES = {
+  'openai/gpt-4o': { input: 2.5, output: 10 },
+  'openai/gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'groq/deepseek-r1-distill-llama-70b': { input: 0.75, output: 0.99 },
+  'claude/claude-3-7-sonnet-latest': { input: 3, output: 15 },
+  'google/gemini-2.0-pro-exp-02-05': { input: 0, output: 0 },
+  'openrouter/deepseek/deepseek-r1:free': { input: 0, output: 0 }
+};
+
+/**
+ * Columns of the CSV export, in order
+ */
+const CSV_COLUMNS = [
+  'timestamp', 'userId', 'chatId', 'provider', 'model', 'type',
+  'promptTokens', 'completionTokens', 'totalTokens', 'estimated', 'latencyMs', 'cost'
+];
+
+/**
+ * Quote a CSV field if it contains separators, quotes or line breaks
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+const csvField = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Usage Service
+ *
+ * Records every completion reported by LlmService (who asked, in which chat,
+ * provider, model, tokens, latency and cost) and builds reports from them.
+ * Records are kept in the store's "usage" collection, one entry per UTC day,
+ * and days older than the retention period are dropped.
+ */
+export class UsageService {
+  /**
+   * @param {Object} config - Configuration options
+   * @param {Object} config.store - Store for usage records
+   */
+  constructor(config = {}) {
+    this.config = {
+      prices: {}, // Extra prices, same format as DEFAULT_PRICES
+      pricesFile: process.env.USAGE_PRICES_FILE, // Optional JSON file with extra prices
+      retentionDays: parseInt(process.env.USAGE_RETENTION_DAYS, 10) || 400,
+      ...config
+    };
+    this.store = this.config.store;
+    this.prices = { ...DEFAULT_PRICES, ...this.config.prices };
+  }
+
+  /**
+   * Load the price file, if there is one
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (!this.config.pricesFile) return;
+
+    const prices = await fs.readJson(this.config.pricesFile);
+    this.prices = { ...this.prices, ...prices };
+    console.log(`Loaded ${Object.keys(prices).length} price(s) from ${this.config.pricesFile}`);
+  }
+
+  /**
+   * Get the price of a model
+   * @param {string} provider - Provider id
+   * @param {string} model - Model name
+   * @returns {Object} - { input, output } in USD per million tokens (zero if unknown)
+   */
+  getPrice(provider, model) {
+    return this.prices[`${provider}/${model}`]
+      || this.prices[model]
+      || this.prices[provider]
+      || { input: 0, output: 0 };
+  }
+
+  /**
+   * Store a usage record from LlmService, with its cost
+   * @param {Object} record - Usage record
+   */
+  recordUsage(record) {
+    const price = this.getPrice(record.provider, record.model);
+    const cost = (record.promptTokens * (price.input || 0) + record.completionTokens * (price.output || 0)) / 1e6;
+
+    const { day } = getPeriods(record.timestamp);
+    const records = this.store.get('usage', day) || [];
+    const isNewDay = !records.length;
+
+    this.store.set('usage', day, [...records, { ...record, cost }]);
+
+    if (isNewDay) {
+      this.prune();
+    }
+  }
+
+  /**
+   * Drop the records of days older than the retention period
+   */
+  prune() {
+    const { day: oldest } = getPeriods(Date.now() - this.config.retentionDays * 24 * 60 * 60 * 1000);
+
+    this.store.entries('usage')
+      .filter(([day]) => day < oldest)
+      .forEach(([day]) => this.store.delete('usage', day));
+  }
+
+  /**
+   * Get the records of the current day or month
+   * @param {string} period - "today" or "month"
+   * @param {string} userId - Only include this user's records (optional)
+   * @returns {Array} - Usage records
+   */
+  getRecords(period = 'month', userId = null) {
+    const current = getPeriods();
+
+    return this.store.entries('usage')
+      .filter(([day]) => (period === 'today' ? day === current.day : day.startsWith(current.month)))
+      .sort(([a], [b]) => a.localeCompare(b))
+      .flatMap(([, records]) => records)
+      .filter(record => !userId || record.userId === userId);
+  }
+
+  /**
+   * Add up a list of records
+   * @param {Array} records - Usage records
+   * @returns {Object} - { requests, promptTokens, completionTokens, totalTokens, cost }
+   */
+  summarize(records) {
+    return records.reduce((totals, record) => ({
+      requests: totals.requests + 1,
+      promptTokens: totals.promptTokens + record.promptTokens,
+      completionTokens: totals.completionTokens + record.completionTokens,
+      totalTokens: totals.totalTokens + record.totalTokens,
+      cost: totals.cost + record.cost
+    }), { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 });
+  }
+
+  /**
+   * Add up records per group, most expensive first
+   * @param {Array} records - Usage records
+   * @param {Function} keyOf - Returns the group of a record, e.g. record => record.userId
+   * @returns {Array} - [{ key, requests, promptTokens, completionTokens, totalTokens, cost }]
+   */
+  breakdown(records, keyOf) {
+    const groups = new Map();
+    records.forEach(record => {
+      const key = keyOf(record);
+      groups.set(key, [...(groups.get(key) || []), record]);
+    });
+
+    return [...groups.entries()]
+      .map(([key, group]) => ({ key, ...this.summarize(group) }))
+      .sort((a, b) => b.cost - a.cost || b.totalTokens - a.totalTokens);
+  }
+
+  /**
+   * Format records as CSV
+   * @param {Array} records - Usage records
+   * @returns {string}
+   */
+  toCsv(records) {
+    const rows = records.map(record => CSV_COLUMNS.map(column => csvField(
+      column === 'timestamp' ? new Date(record.timestamp).toISOString() : record[column]
+    )).join(','));
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+  }
+}
@@ -0,0 +1,118 @@
+import { MemoryStore } from './memoryStore.js';
+import fs from 'fs-extra';
+import path from 'path';
+
+/**
+ * JSON File Store
+ *
+ * Persists each collection as a JSON file in a data directory
+ * (e.g. data/conversations.json). All data is loaded into memory on startup;
+ * changes are written back after a short delay so bursts of updates
+ * result in a single write.
+ */
+export class JsonFileStore extends MemoryStore {
+  /**
+   * @param {Object} config - Configuration options
+   */
+  constructor(config = {}) {
+    super();
+    this.config = {
+      dataDir: 'data',
+      saveDelay: 1000, // Milliseconds to wait before writing changes
+      ...config
+    };
+
+    this.dirty = new Set();
+    this.saveTimer = null;
+    this.flushing = null; // Write in progress, if any
+  }
+
+  /**
+   * Load all collections from the data directory
+   * @returns {Promise<void>}
+   */
+  async load() {
+    await fs.ensureDir(this.config.dataDir);
+    const files = await fs.readdir(this.config.dataDir);
+
+    for (const file of files) {
+      if (path.extname(file) !== '.json') continue;
+
+      const collection = path.basename(file, '.json');
+      try {
+        const data = await fs.readJson(path.join(this.config.dataDir, file));
+        this.collections.set(collection, new Map(Object.entries(data)));
+      } catch (error) {
+        console.error(`Error loading store collection ${collection}:`, error);
+      }
+    }
+
+    console.log(`Loaded ${this.collections.size} store collection(s) from ${this.config.dataDir}`);
+  }
+
+  /**
+   * Schedule a write for a changed collection
+   * @param {string} collection - Collection name
+   */
+  markDirty(collection) {
+    this.dirty.add(collection);
+
+    if (!this.saveTimer) {
+      this.saveTimer = setTimeout(() => {
+        this.saveTimer = null;
+        this.flush().catch(error => console.error('Error saving store:', error));
+      }, this.config.saveDelay);
+    }
+  }
+
+  /**
+   * Write all changed collections to disk, after any write in progress
+   * (two writes at once would share the same temporary files)
+   * @returns {Promise<void>}
+   */
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    // The previous write reported its own error; this one retries what it left dirty
+    this.flushing = (this.flushing || Promise.resolve())
+      .catch(() => {})
+      .then(() => this.writeDirty());
+    return this.flushing;
+  }
+
+  /**
+   * Write the collections changed since the last write
+   * @returns {Promise<void>}
+   */
+  async writeDirty() {
+    const collections = [...this.dirty];
+    this.dirty.clear();
+
+    for (const collection of collections) {
+      const file = path.join(this.config.dataDir, `${collection}.json`);
+      const data = Object.fromEntries(this.getCollection(collection));
+
+      try {
+        // Write to a temporary file first so a crash never leaves a truncated file
+        await fs.outputJson(`${file}.tmp`, data, { spaces: 2 });
+        await fs.move(`${file}.tmp`, file, { overwrite: true });
+      } catch (error) {
+        // Keep the collection dirty so the next flush retries it
+        this.dirty.add(collection);
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Write pending changes, waiting for a write already in progress
+   * (e.g. one started by the save timer) to finish first
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.flush();
+  }
+}
@@ -0,0 +1,83 @@
+import { Store } from './store.js';
+
+/**
+ * Memory Store
+ *
+ * Keeps all data in process memory. Nothing survives a restart, which makes
+ * it useful for console testing and as the base for file-backed stores.
+ */
+export class MemoryStore extends Store {
+  constructor() {
+    super();
+    this.collections = new Map();
+  }
+
+  /**
+   * Nothing to load for an in-memory store
+   * @returns {Promise<void>}
+   */
+  async load() {
+    return Promise.resolve();
+  }
+
+  /**
+   * Get (and lazily create) the map backing a collection
+   * @param {string} collection - Collection name
+   * @returns {Map} - Collection map
+   */
+  getCollection(collection) {
+    if (!this.collections.has(collection)) {
+      this.collections.set(collection, new Map());
+    }
+    return this.collections.get(collection);
+  }
+
+  /**
+   * Get a value from a collection
+   * @param {string} collection - Collection name
+   * @param {string} key - Entry key
+   * @returns {*} - Stored value or undefined
+   */
+  get(collection, key) {
+    return this.getCollection(collection).get(key);
+  }
+
+  /**
+   * Set a value in a collection
+   * @param {string} collection - Collection name
+   * @param {string} key - Entry key
+   * @param {*} value - JSON-serializable value
+   */
+  set(collection, key, value) {
+    this.getCollection(collection).set(key, value);
+    this.markDirty(collection);
+  }
+
+  /**
+   * Delete a value from a collection
+   * @param {string} collection - Collection name
+   * @param {string} key - Entry key
+   */
+  delete(collection, key) {
+    if (this.getCollection(collection).delete(key)) {
+      this.markDirty(collection);
+    }
+  }
+
+  /**
+   * List all entries of a collection
+   * @param {string} collection - Collection name
+   * @returns {Array} - Array of [key, value] pairs
+   */
+  entries(collection) {
+    return [...this.getCollection(collection).entries()];
+  }
+
+  /**
+   * Hook called whenever a collection changes
+   * @param {string} collection - Collection name
+   */
+  markDirty(collection) {
+    // Nothing to persist in memory
+  }
+}
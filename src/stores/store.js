@@ -0,0 +1,84 @@
+/**
+ * Base Store Interface
+ *
+ * This class defines the interface that all storage backends must implement.
+ * Data is organised in named collections (e.g. "conversations", "userSettings"),
+ * each of which maps string keys to JSON-serializable values.
+ *
+ * Reads and writes are synchronous so services can use the store directly;
+ * backends that persist to disk are expected to load everything in load()
+ * and write changes out in the background (and on flush/close).
+ */
+export class Store {
+    /**
+     * Load persisted data into the store
+     * @returns {Promise<void>}
+     */
+    async load() {
+      throw new Error('Method not implemented');
+    }
+
+    /**
+     * Get a value from a collection
+     * @param {string} collection - Collection name
+     * @param {string} key - Entry key
+     * @returns {*} - Stored value or undefined
+     */
+    get(collection, key) {
+      throw new Error('Method not implemented');
+    }
+
+    /**
+     * Check whether a collection contains a key
+     * @param {string} collection - Collection name
+     * @param {string} key - Entry key
+     * @returns {boolean}
+     */
+    has(collection, key) {
+      return this.get(collection, key) !== undefined;
+    }
+
+    /**
+     * Set a value in a collection
+     * @param {string} collection - Collection name
+     * @param {string} key - Entry key
+     * @param {*} value - JSON-serializable value
+     */
+    set(collection, key, value) {
+      throw new Error('Method not implemented');
+    }
+
+    /**
+     * Delete a value from a collection
+     * @param {string} collection - Collection name
+     * @param {string} key - Entry key
+     */
+    delete(collection, key) {
+      throw new Error('Method not implemented');
+    }
+
+    /**
+     * List all entries of a collection
+     * @param {string} collection - Collection name
+     * @returns {Array} - Array of [key, value] pairs
+     */
+    entries(collection) {
+      throw new Error('Method not implemented');
+    }
+
+    /**
+     * Write any pending changes to the underlying storage
+     * @returns {Promise<void>}
+     */
+    async flush() {
+      return Promise.resolve();
+    }
+
+    /**
+     * Flush pending changes and release resources
+     * @returns {Promise<void>}
+     */
+    async close() {
+      await this.flush();
+    }
+  }
@@ -0,0 +1,48 @@
+/**
+ * Search the conversation being answered, including messages that have already
+ * been dropped from the prompt to save tokens
+ */
+export const searchConversationTool = {
+  name: 'search_conversation',
+  description: 'Search earlier messages of this conversation for a word or phrase. Use this when the user refers to '
+    + 'something said before that is not in view. Also returns the summary of older, removed messages.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: {
+        type: 'string',
+        description: 'Word or phrase to look for (case-insensitive)'
+      },
+      limit: {
+        type: 'integer',
+        description: 'Maximum number of matching messages to return (default 5)'
+      }
+    },
+    required: ['query']
+  },
+  execute: async ({ query, limit = 5 }, { userId, threadId, llmService }) => {
+    const needle = String(query || '').toLowerCase();
+    if (!needle) {
+      throw new Error('No query given');
+    }
+
+    // The thread being answered, which isn't the active one if the user switched meanwhile
+    const matches = llmService.getConversationHistory(userId, 0, threadId)
+      .filter(msg => ['user', 'assistant'].includes(msg.role))
+      .filter(msg => typeof msg.content === 'string' && msg.content.toLowerCase().includes(needle))
+      .slice(-Math.max(1, Math.min(limit, 20)))
+      .map(msg => ({
+        role: msg.role,
+        ...(msg.name ? { name: msg.name } : {}),
+        time: msg.timestamp ? new Date(msg.timestamp).toISOString() : undefined,
+        content: msg.content
+      }));
+
+    return {
+      matches,
+      summary: llmService.getConversationSummary(userId, threadId)?.text || null
+    };
+  }
+};
+
+export const conversationTools = [searchConversationTool];
@@ -0,0 +1,192 @@
+/**
+ * Functions available in calculator expressions
+ */
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  cbrt: Math.cbrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  log: Math.log10,
+  ln: Math.log,
+  exp: Math.exp,
+  min: Math.min,
+  max: Math.max,
+  pow: Math.pow
+};
+
+/**
+ * Named constants available in calculator expressions
+ */
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+/**
+ * Split an expression into number, name, operator and parenthesis tokens
+ * @param {string} expression - Arithmetic expression
+ * @returns {Array} - Tokens
+ */
+const tokenize = (expression) => {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+)|([a-z_]+)|(\*\*|[-+*/%^(),]))/giy;
+  let match;
+
+  while (pattern.lastIndex < expression.length) {
+    const start = pattern.lastIndex;
+    match = pattern.exec(expression);
+    if (!match) {
+      if (!expression.slice(start).trim()) break;
+      throw new Error(`Unexpected character: "${expression.slice(start).trim()[0]}"`);
+    }
+    if (match[1]) tokens.push({ type: 'number', value: parseFloat(match[1]) });
+    else if (match[2]) tokens.push({ type: 'name', value: match[2].toLowerCase() });
+    else tokens.push({ type: 'op', value: match[3] === '**' ? '^' : match[3] });
+  }
+
+  return tokens;
+};
+
+/**
+ * Evaluate an arithmetic expression without using eval()
+ *
+ * Grammar (lowest to highest precedence):
+ *   expression := term (('+' | '-') term)*
+ *   term       := unary (('*' | '/' | '%') unary)*
+ *   unary      := ('-' | '+') unary | power
+ *   power      := primary ('^' unary)?
+ *   primary    := number | constant | function '(' args ')' | '(' expression ')'
+ *
+ * @param {string} expression - Arithmetic expression, e.g. "2 * (3 + 4) ^ 2"
+ * @returns {number} - Result
+ */
+export const evaluateExpression = (expression) => {
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = (value) => {
+    const token = next();
+    if (!token || token.value !== value) {
+      throw new Error(`Expected "${value}"`);
+    }
+  };
+
+  const parseExpression = () => {
+    let value = parseTerm();
+    while (peek()?.type === 'op' && ['+', '-'].includes(peek().value)) {
+      value = next().value === '+' ? value + parseTerm() : value - parseTerm();
+    }
+    return value;
+  };
+
+  const parseTerm = () => {
+    let value = parseUnary();
+    while (peek()?.type === 'op' && ['*', '/', '%'].includes(peek().value)) {
+      const op = next().value;
+      const right = parseUnary();
+      value = op === '*' ? value * right : op === '/' ? value / right : value % right;
+    }
+    return value;
+  };
+
+  const parseUnary = () => {
+    if (peek()?.type === 'op' && ['+', '-'].includes(peek().value)) {
+      return next().value === '-' ? -parseUnary() : parseUnary();
+    }
+    return parsePower();
+  };
+
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (peek()?.type === 'op' && peek().value === '^') {
+      next();
+      return Math.pow(base, parseUnary());
+    }
+    return base;
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+    if (!token) {
+      throw new Error('Unexpected end of expression');
+    }
+
+    if (token.type === 'number') {
+      return token.value;
+    }
+
+    if (token.type === 'name') {
+      if (token.value in CONSTANTS) {
+        return CONSTANTS[token.value];
+      }
+      if (!(token.value in FUNCTIONS)) {
+        throw new Error(`Unknown function or constant: ${token.value}`);
+      }
+
+      expect('(');
+      const args = [parseExpression()];
+      while (peek()?.value === ',') {
+        next();
+        args.push(parseExpression());
+      }
+      expect(')');
+      return FUNCTIONS[token.value](...args);
+    }
+
+    if (token.value === '(') {
+      const value = parseExpression();
+      expect(')');
+      return value;
+    }
+
+    throw new Error(`Unexpected "${token.value}"`);
+  };
+
+  const result = parseExpression();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${peek().value}"`);
+  }
+  return result;
+};
+
+/**
+ * Reliable arithmetic for the model
+ */
+export const calculatorTool = {
+  name: 'calculator',
+  description: 'Evaluate an arithmetic expression exactly. Supports + - * / % ^, parentheses, '
+    + 'pi, e and the functions sqrt, cbrt, abs, round, floor, ceil, sin, cos, tan, asin, acos, atan, '
+    + 'log (base 10), ln, exp, min, max, pow. Use this for any calculation instead of doing it yourself.',
+  parameters: {
+    type: 'object',
+    properties: {
+      expression: {
+        type: 'string',
+        description: 'The expression to evaluate, e.g. "(1299 * 0.85) / 12"'
+      }
+    },
+    required: ['expression']
+  },
+  execute: async ({ expression }) => {
+    if (!expression) {
+      throw new Error('No expression given');
+    }
+    const result = evaluateExpression(String(expression));
+    if (!Number.isFinite(result)) {
+      throw new Error(`The result is not a finite number (${result})`);
+    }
+    return { expression, result };
+  }
+};
+
+export const mathTools = [calculatorTool];
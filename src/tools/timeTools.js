@@ -0,0 +1,35 @@
+/**
+ * Current date and time, optionally in another time zone
+ */
+export const currentTimeTool = {
+  name: 'get_current_time',
+  description: 'Get the current date and time. Use this whenever the user asks about the time, date or day of the week, anywhere in the world.',
+  parameters: {
+    type: 'object',
+    properties: {
+      timezone: {
+        type: 'string',
+        description: 'IANA time zone, e.g. "Asia/Tokyo" or "Europe/London". Defaults to the server time zone.'
+      }
+    }
+  },
+  execute: async ({ timezone } = {}) => {
+    const now = new Date();
+    const timeZone = timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+    // Throws a RangeError for unknown time zones, which is reported to the model
+    const formatted = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      dateStyle: 'full',
+      timeStyle: 'long'
+    }).format(now);
+
+    return {
+      timezone: timeZone,
+      local: formatted,
+      iso: now.toISOString()
+    };
+  }
+};
+
+export const timeTools = [currentTimeTool];
@@ -0,0 +1,99 @@
+/**
+ * Tool Registry
+ *
+ * Holds the tools the LLM can call. Each tool is a plain object:
+ *
+ *   {
+ *     name: 'get_current_time',
+ *     description: 'What the tool does, written for the model',
+ *     parameters: { type: 'object', properties: {...}, required: [...] }, // JSON schema
+ *     execute: async (args, context) => result // string or JSON-serializable value
+ *   }
+ *
+ * The context passed to execute() contains the userId, the thread being
+ * answered, the LlmService and the context of the message being answered.
+ */
+export class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  /**
+   * Register one or more tools
+   * @param {...Object} tools - Tool definitions
+   * @returns {ToolRegistry} - This registry, for chaining
+   */
+  register(...tools) {
+    tools.forEach(tool => {
+      if (!tool.name || typeof tool.execute !== 'function') {
+        throw new Error('A tool needs a name and an execute function');
+      }
+      this.tools.set(tool.name, tool);
+    });
+    return this;
+  }
+
+  /**
+   * Remove a tool
+   * @param {string} name - Tool name
+   */
+  unregister(name) {
+    this.tools.delete(name);
+  }
+
+  /**
+   * Get a tool by name
+   * @param {string} name - Tool name
+   * @returns {Object|undefined} - Tool definition
+   */
+  get(name) {
+    return this.tools.get(name);
+  }
+
+  /**
+   * Get all registered tools
+   * @returns {Array} - Tool definitions
+   */
+  list() {
+    return [...this.tools.values()];
+  }
+
+  /**
+   * Get the tools in the format of the OpenAI `tools` request parameter
+   * @returns {Array} - Tool declarations
+   */
+  getDefinitions() {
+    return this.list().map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters || { type: 'object', properties: {} }
+      }
+    }));
+  }
+
+  /**
+   * Run a tool call requested by the model
+   * Errors are returned as text so the model can see what went wrong.
+   * @param {string} name - Tool name
+   * @param {string} argsJson - Arguments as a JSON string (as sent by the model)
+   * @param {Object} context - Execution context
+   * @returns {Promise<string>} - Tool result as text
+   */
+  async execute(name, argsJson, context = {}) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      return `Error: unknown tool "${name}"`;
+    }
+
+    try {
+      const args = argsJson ? JSON.parse(argsJson) : {};
+      const result = await tool.execute(args, context);
+      return typeof result === 'string' ? result : JSON.stringify(result);
+    } catch (error) {
+      console.error(`Error running tool ${name}:`, error);
+      return `Error: ${error.message}`;
+    }
+  }
+}
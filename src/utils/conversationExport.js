@@ -0,0 +1,185 @@
+/**
+ * Marks JSON files written by !export, so !import can recognize them
+ */
+const EXPORT_TYPE = 'llm-bot-conversation';
+const EXPORT_VERSION = 1;
+
+/**
+ * Export formats: file extension and MIME type
+ */
+export const EXPORT_FORMATS = {
+    md: { extension: 'md', mimeType: 'text/markdown' },
+    txt: { extension: 'txt', mimeType: 'text/plain' },
+    json: { extension: 'json', mimeType: 'application/json' }
+};
+
+/**
+ * Roles a message of an imported conversation can have
+ */
+const MESSAGE_ROLES = ['user', 'assistant', 'tool'];
+
+/**
+ * Check the shape of a tool call: { id, type: 'function', function: { name, arguments } }
+ * @param {Object} call - Tool call of an assistant message
+ * @returns {boolean}
+ */
+const isValidToolCall = (call) => !!call
+    && typeof call.id === 'string' && !!call.id
+    && call.type === 'function'
+    && typeof call.function?.name === 'string' && !!call.function.name
+    && typeof call.function.arguments === 'string';
+
+/**
+ * Check that a timestamp is a number a Date can hold, so transcripts can format it
+ * @param {*} timestamp - Milliseconds since the epoch
+ * @returns {boolean}
+ */
+const isValidTimestamp = (timestamp) => typeof timestamp === 'number'
+    && !Number.isNaN(new Date(timestamp).getTime());
+
+/**
+ * Keep tool calls only where every call has a result: an assistant message
+ * with tool calls must be followed directly by a tool message for each call.
+ * Calls without all their results lose their tool calls (or are dropped if
+ * they have no text), and tool results without a call are dropped, since
+ * providers reject histories with unpaired tool messages.
+ * @param {Array} messages - Validated messages
+ * @returns {Array} - Messages with every tool call paired with its result
+ */
+const pairToolCalls = (messages) => {
+    const paired = [];
+
+    for (let index = 0; index < messages.length; index++) {
+        const msg = messages[index];
+        if (msg.role === 'tool') continue;
+
+        if (!msg.tool_calls) {
+            paired.push(msg);
+            continue;
+        }
+
+        const results = [];
+        while (messages[index + 1]?.role === 'tool') {
+            results.push(messages[++index]);
+        }
+
+        const ids = msg.tool_calls.map(call => call.id);
+        const answered = ids.map(id => results.find(result => result.tool_call_id === id));
+        if (ids.length && answered.every(Boolean)) {
+            paired.push(msg, ...answered);
+        } else if (msg.content) {
+            const { tool_calls, ...text } = msg;
+            paired.push(text);
+        }
+    }
+
+    return paired;
+};
+
+/**
+ * Format a timestamp for a transcript
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {string} - e.g. "2026-10-19 14:03 UTC", or "" if unknown
+ */
+const formatTime = (timestamp) => (timestamp
+    ? `${new Date(timestamp).toISOString().substring(0, 16).replace('T', ' ')} UTC`
+    : '');
+
+/**
+ * Get the messages worth showing in a transcript (no tool calls or results)
+ * @param {Array} messages - Conversation history
+ * @returns {Array}
+ */
+const visibleMessages = (messages) => messages.filter(
+    msg => ['user', 'assistant'].includes(msg.role) && typeof msg.content === 'string' && msg.content
+);
+
+/**
+ * Render a conversation as Markdown, plain text or JSON
+ * @param {Array} messages - Conversation history
+ * @param {string} format - "md", "txt" or "json"
+ * @param {Object} meta - Details for the header
+ * @param {string} meta.chatId - Conversation identifier
+ * @param {Object} meta.summary - Running summary of earlier messages (optional)
+ * @param {number} meta.exportedAt - Export time (defaults to now)
+ * @returns {string}
+ */
+export const renderConversation = (messages, format, { chatId, summary = null, exportedAt = Date.now() } = {}) => {
+    if (format === 'json') {
+        return JSON.stringify({
+            type: EXPORT_TYPE,
+            version: EXPORT_VERSION,
+            chatId,
+            exportedAt: new Date(exportedAt).toISOString(),
+            summary: summary ? { text: summary.text, messageCount: summary.messageCount } : null,
+            messages
+        }, null, 2);
+    }
+
+    const speaker = (msg) => (msg.role === 'assistant' ? 'Assistant' : msg.name || 'User');
+    const shown = visibleMessages(messages);
+
+    if (format === 'md') {
+        const lines = [`# Conversation with ${chatId}`, '', `Exported ${formatTime(exportedAt)}`];
+        if (summary) {
+            lines.push('', '## Summary of earlier messages', '', summary.text);
+        }
+        lines.push('', '## Messages');
+        shown.forEach(msg => {
+            lines.push('', `**${speaker(msg)}**${msg.timestamp ? ` · ${formatTime(msg.timestamp)}` : ''}`, '', msg.content);
+        });
+        return `${lines.join('\n')}\n`;
+    }
+
+    const lines = [`Conversation with ${chatId}`, `Exported ${formatTime(exportedAt)}`];
+    if (summary) {
+        lines.push('', 'Summary of earlier messages:', summary.text);
+    }
+    shown.forEach(msg => {
+        lines.push('', `[${formatTime(msg.timestamp)}] ${speaker(msg)}:`, msg.content);
+    });
+    return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Parse and validate a conversation exported as JSON
+ * Tool calls without results and results without a call are dropped.
+ * @param {string} text - File contents
+ * @returns {Object} - { messages, summary }
+ * @throws {Error} - If the file isn't a valid export
+ */
+export const parseConversationExport = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error('The file is not valid JSON.');
+    }
+
+    if (data?.type !== EXPORT_TYPE || !Array.isArray(data.messages)) {
+        throw new Error('The file is not an exported conversation.');
+    }
+    if (data.version > EXPORT_VERSION) {
+        throw new Error('The file was exported by a newer version of the bot.');
+    }
+
+    data.messages.forEach((msg, index) => {
+        const valid = msg && MESSAGE_ROLES.includes(msg.role)
+            && (typeof msg.content === 'string' || (msg.content === null && msg.role === 'assistant'))
+            && (msg.role !== 'tool' || typeof msg.tool_call_id === 'string')
+            && (msg.tool_calls === undefined
+                || (msg.role === 'assistant' && Array.isArray(msg.tool_calls) && msg.tool_calls.every(isValidToolCall)))
+            && (msg.timestamp === undefined || isValidTimestamp(msg.timestamp))
+            && (msg.name === undefined || typeof msg.name === 'string')
+            && (msg.images === undefined || (Number.isInteger(msg.images) && msg.images >= 0));
+        if (!valid) {
+            throw new Error(`Message ${index + 1} of the file is invalid.`);
+        }
+    });
+
+    const summary = typeof data.summary?.text === 'string' && data.summary.text
+        ? { text: data.summary.text, messageCount: Number(data.summary.messageCount) || 0 }
+        : null;
+
+    return { messages: pairToolCalls(data.messages), summary };
+};
@@ -0,0 +1,9 @@
+/**
+ * Get the UTC day and month a timestamp falls in
+ * @param {number} timestamp - Milliseconds since the epoch (defaults to now)
+ * @returns {Object} - e.g. { day: '2026-10-19', month: '2026-10' }
+ */
+export const getPeriods = (timestamp = Date.now()) => {
+    const date = new Date(timestamp).toISOString();
+    return { day: date.substring(0, 10), month: date.substring(0, 7) };
+};
@@ -0,0 +1,135 @@
+import { APIConnectionError } from 'openai';
+
+/**
+ * Network error codes worth retrying
+ */
+const RETRYABLE_CODES = ['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+
+/**
+ * Check whether a failed request is worth retrying: rate limits (429),
+ * server errors (5xx), timeouts and dropped connections
+ * @param {Error} error - Error thrown by the API client
+ * @returns {boolean}
+ */
+export const isRetryableError = (error) => {
+    if (error.status) {
+        return error.status === 408 || error.status === 429 || error.status >= 500;
+    }
+
+    // The OpenAI client reports timeouts and network failures without a status
+    return error instanceof APIConnectionError
+        || RETRYABLE_CODES.includes(error.code)
+        || RETRYABLE_CODES.includes(error.cause?.code);
+};
+
+/**
+ * Check whether a failed request points at a problem with the provider rather
+ * than with the request: anything retryable, authentication failures (a bad
+ * or revoked API key) and errors without an HTTP status. Other 4xx errors,
+ * such as a 400 for an unknown model or input that is too long, are the
+ * request's fault and would fail on any provider.
+ * @param {Error} error - Error thrown by the API client
+ * @returns {boolean}
+ */
+export const isProviderError = (error) => !error.status
+    || isRetryableError(error)
+    || error.status === 401
+    || error.status === 403;
+
+/**
+ * Delay before the next attempt: exponential backoff with full jitter,
+ * or the server's Retry-After header if it sent one
+ * @param {number} attempt - Number of attempts made so far, starting at 0
+ * @param {Object} options - Options
+ * @param {number} options.baseDelay - Delay cap of the first retry in milliseconds
+ * @param {number} options.maxDelay - Largest delay in milliseconds
+ * @param {Error} error - Error of the failed attempt (optional)
+ * @returns {number} - Milliseconds to wait
+ */
+export const getBackoffDelay = (attempt, { baseDelay, maxDelay }, error = null) => {
+    const retryAfter = parseFloat(error?.headers?.['retry-after']);
+    if (retryAfter > 0) {
+        return Math.min(retryAfter * 1000, maxDelay);
+    }
+
+    return Math.round(Math.random() * Math.min(maxDelay, baseDelay * 2 ** attempt));
+};
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+export const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Circuit Breaker
+ *
+ * Tracks consecutive failures per key (e.g. provider id). After `threshold`
+ * failures in a row the circuit opens and requests are skipped for
+ * `cooldown` milliseconds; then one trial request is let through, and the
+ * circuit closes again when a request succeeds.
+ */
+export class CircuitBreaker {
+    /**
+     * @param {Object} options - Options
+     * @param {number} options.threshold - Consecutive failures that open the circuit
+     * @param {number} options.cooldown - Milliseconds to skip a key once its circuit is open
+     */
+    constructor({ threshold = 3, cooldown = 60000 } = {}) {
+        this.threshold = threshold;
+        this.cooldown = cooldown;
+        this.circuits = new Map();
+    }
+
+    /**
+     * Check whether a request may be made
+     * @param {string} key - Circuit key
+     * @returns {boolean}
+     */
+    canRequest(key) {
+        const circuit = this.circuits.get(key);
+        if (!circuit?.openedAt) return true;
+
+        // Half-open: allow a trial request once the cooldown is over
+        if (Date.now() - circuit.openedAt >= this.cooldown) {
+            circuit.openedAt = Date.now();
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Record a successful request, closing the circuit
+     * @param {string} key - Circuit key
+     */
+    recordSuccess(key) {
+        this.circuits.delete(key);
+    }
+
+    /**
+     * Record a failed request, opening the circuit after too many in a row
+     * @param {string} key - Circuit key
+     * @returns {boolean} - Whether the circuit is now open
+     */
+    recordFailure(key) {
+        const circuit = this.circuits.get(key) || { failures: 0, openedAt: null };
+        circuit.failures++;
+        if (circuit.failures >= this.threshold) {
+            circuit.openedAt = Date.now();
+        }
+        this.circuits.set(key, circuit);
+        return !!circuit.openedAt;
+    }
+
+    /**
+     * Get the state of a circuit
+     * @param {string} key - Circuit key
+     * @returns {string} - "closed", "open" or "half-open"
+     */
+    getState(key) {
+        const circuit = this.circuits.get(key);
+        if (!circuit?.openedAt) return 'closed';
+        return Date.now() - circuit.openedAt >= this.cooldown ? 'half-open' : 'open';
+    }
+}
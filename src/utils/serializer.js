@@ -1,4 +1,4 @@
-import { getContentType, jidDecode } from '@whiskeysockets/baileys';
+import { getContentType, jidDecode, downloadContentFromMessage } from '@whiskeysockets/baileys';
 
 /**
  * Decodes a WhatsApp JID (Jabber ID)
@@ -10,6 +10,29 @@ export const decodeJid = (jid) => {
     return user && server ? `${user}@${server}`.trim() : jid;
 };
 
+/**
+ * Message types that carry downloadable media
+ */
+const MEDIA_TYPES = ['imageMessage', 'videoMessage', 'audioMessage', 'documentMessage', 'stickerMessage'];
+
+/**
+ * Downloads the media attached to a WhatsApp message
+ * @param {Object} message - Message content (e.g. { imageMessage: {...} })
+ * @returns {Promise<Buffer>} - Media data
+ */
+export const downloadMedia = async (message) => {
+    const type = Object.keys(message || {}).find((key) => MEDIA_TYPES.includes(key));
+    if (!type) {
+        throw new Error('Message has no downloadable media');
+    }
+    const stream = await downloadContentFromMessage(message[type], type.replace('Message', ''));
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+};
+
 /**
  * Serializes WhatsApp messages into a standardized format
  * @param {Object} messages - Raw WhatsApp message
@@ -43,6 +66,10 @@ export const serialize = (messages, client) => {
             messages.message = messages.message[messages.type].message;
             messages.type = getContentType(messages.message);
         }
+        if (messages.type === 'documentWithCaptionMessage') {
+            messages.message = messages.message[messages.type].message;
+            messages.type = getContentType(messages.message);
+        }
         messages.messageTypes = (type) => ['videoMessage', 'imageMessage'].includes(type);
         try {
             const quoted = messages.message[messages.type]?.contextInfo;
@@ -94,11 +121,7 @@ export const serialize = (messages, client) => {
                 fromMe: messages.quoted.isSelf,
                 remoteJid: messages.from
             };
-            // Add download capability if needed
-            messages.quoted.download = () => {
-                console.log('Media download functionality is not yet implemented');
-                return Promise.reject(new Error('Media download not implemented'));
-            };
+            messages.quoted.download = () => downloadMedia(messages.quoted.message);
         } catch {
             messages.quoted = null;
         }
@@ -111,6 +134,7 @@ export const serialize = (messages, client) => {
             (messages.type === 'buttonsResponseMessage' && messages.message?.[messages.type]?.selectedButtonId) ||
             (messages.type === 'templateButtonReplyMessage' && messages.message?.[messages.type]?.selectedId) ||
             '';
+        messages.download = () => downloadMedia(messages.message);
         messages.reply = (text) =>
             client.sendMessage(
                 messages.from,
@@ -147,8 +171,10 @@ export const extractMessageContent = (message) => {
 export const extractQuotedContext = (message) => {
     if (!message || !message.quoted) return null;
     return {
-        text: message.quoted.text || '',
+        // Media without a caption has no text (the serializer falls back to the raw media object)
+        text: typeof message.quoted.text === 'string' ? message.quoted.text : '',
         sender: message.quoted.participant || '',
-        type: message.quoted.type || 'normal'
+        type: message.quoted.type || 'normal',
+        mediaType: message.quoted.mtype || null
     };
 };
\ No newline at end of file
@@ -0,0 +1,56 @@
+/**
+ * Rough number of characters per token for English text.
+ * Providers use different tokenizers, so estimates err on the generous side.
+ */
+const CHARS_PER_TOKEN = 3.5;
+
+/**
+ * Fixed token overhead each chat message adds (role, separators)
+ */
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+/**
+ * Approximate tokens one image costs vision models (a detailed ~1024px image)
+ */
+export const IMAGE_TOKENS = 800;
+
+/**
+ * Marker inserted where text has been cut to fit the token budget
+ */
+const TRUNCATION_MARKER = '[…]';
+
+/**
+ * Estimate the number of tokens in a piece of text
+ * @param {string} text - Text to measure
+ * @returns {number} - Estimated token count
+ */
+export const estimateTokens = (text) => {
+    if (!text) return 0;
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+};
+
+/**
+ * Estimate the number of tokens a chat message uses, including overhead
+ * @param {Object} message - Message with role and content
+ * @returns {number} - Estimated token count
+ */
+export const estimateMessageTokens = (message) => {
+    const toolCallTokens = message.tool_calls ? estimateTokens(JSON.stringify(message.tool_calls)) : 0;
+    return MESSAGE_OVERHEAD_TOKENS + estimateTokens(message.content) + toolCallTokens;
+};
+
+/**
+ * Truncate text so it fits in a token budget
+ * @param {string} text - Text to truncate
+ * @param {number} maxTokens - Maximum number of tokens
+ * @param {string} keep - Which part of the text to keep: 'start' or 'end'
+ * @returns {string} - Text that fits the budget (unchanged if it already does)
+ */
+export const truncateToTokens = (text, maxTokens, keep = 'start') => {
+    if (!text || estimateTokens(text) <= maxTokens) return text;
+
+    const maxChars = Math.max(0, Math.floor(maxTokens * CHARS_PER_TOKEN) - TRUNCATION_MARKER.length - 1);
+    return keep === 'end'
+        ? `${TRUNCATION_MARKER} ${text.slice(text.length - maxChars)}`
+        : `${text.slice(0, maxChars)} ${TRUNCATION_MARKER}`;
+};
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CommandRegistry } from '../src/commands/commandRegistry.js';
+
+const execute = async () => {};
+
+const createRegistry = () => new CommandRegistry().register(
+  { name: 'help', aliases: ['h'], execute },
+  { name: 'history', execute },
+  { name: 'provider', aliases: ['p'], execute },
+  { name: 'persona', execute },
+  { name: 'export', execute }
+);
+
+test('suggests commands one typo away, counting swapped letters as one edit', () => {
+  const registry = createRegistry();
+
+  assert.deepEqual(registry.suggest('hlep'), ['help']);
+  assert.deepEqual(registry.suggest('exprot'), ['export']);
+  assert.deepEqual(registry.suggest('histroy'), ['history']);
+});
+
+test('ranks the closest suggestions first and suggests aliases as their command', () => {
+  const registry = createRegistry();
+
+  // "hi" is one edit from the alias "h" and a prefix of "history"
+  assert.deepEqual(registry.suggest('hi'), ['help', 'history']);
+  assert.deepEqual(registry.suggest('hist'), ['history']);
+  assert.deepEqual(registry.suggest('prsona'), ['persona']);
+});
+
+test('suggests nothing for unrelated names', () => {
+  assert.deepEqual(createRegistry().suggest('weather'), []);
+});
+
+test('suggests from the given candidates without mapping aliases', () => {
+  assert.deepEqual(createRegistry().suggest('lsit', ['list', 'set', 'reset']), ['list']);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseConversationExport, renderConversation } from '../src/utils/conversationExport.js';
+
+const exportWith = (messages) => JSON.stringify({ type: 'llm-bot-conversation', version: 1, messages });
+
+test('reads back a rendered JSON export', () => {
+  const messages = [
+    { role: 'user', content: 'Hi', name: 'Ann', timestamp: Date.UTC(2025, 0, 1), images: 1 },
+    { role: 'assistant', content: 'Hello!', timestamp: Date.UTC(2025, 0, 1) }
+  ];
+  const { messages: parsed, summary } = parseConversationExport(
+    renderConversation(messages, 'json', { chatId: 'chat', summary: { text: 'Earlier', messageCount: 4 } })
+  );
+
+  assert.deepEqual(parsed, messages);
+  assert.deepEqual(summary, { text: 'Earlier', messageCount: 4 });
+});
+
+test('rejects files that are not conversation exports', () => {
+  assert.throws(() => parseConversationExport('not json'), /not valid JSON/);
+  assert.throws(() => parseConversationExport('{"type":"other","messages":[]}'), /not an exported conversation/);
+});
+
+test('rejects messages with invalid fields', () => {
+  const invalid = [
+    { role: 'system', content: 'x' },
+    { role: 'user', content: 42 },
+    { role: 'user', content: 'x', timestamp: 'yesterday' },
+    { role: 'user', content: 'x', timestamp: 1e20 },
+    { role: 'user', content: 'x', name: 7 },
+    { role: 'user', content: 'x', images: -1 },
+    { role: 'user', content: 'x', images: 1.5 },
+    { role: 'tool', content: 'x' }
+  ];
+
+  invalid.forEach(message => {
+    assert.throws(() => parseConversationExport(exportWith([message])), /Message 1 of the file is invalid/, JSON.stringify(message));
+  });
+});
+
+test('keeps answered tool calls and drops the rest', () => {
+  const call = (id) => ({ id, type: 'function', function: { name: 'get_time', arguments: '{}' } });
+  const { messages } = parseConversationExport(exportWith([
+    { role: 'user', content: 'What time is it?' },
+    { role: 'assistant', content: null, tool_calls: [call('a')] },
+    { role: 'tool', tool_call_id: 'a', content: '12:00' },
+    { role: 'assistant', content: 'Noon.' },
+    { role: 'tool', tool_call_id: 'b', content: 'orphan' },
+    { role: 'user', content: 'And in Tokyo?' },
+    { role: 'assistant', content: null, tool_calls: [call('c'), call('d')] },
+    { role: 'tool', tool_call_id: 'c', content: '21:00' },
+    { role: 'assistant', content: '9 pm.' }
+  ]));
+
+  assert.deepEqual(
+    messages.map(message => message.tool_call_id || message.content),
+    ['What time is it?', null, 'a', 'Noon.', 'And in Tokyo?', '9 pm.']
+  );
+});
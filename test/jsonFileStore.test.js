@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { JsonFileStore } from '../src/stores/jsonFileStore.js';
+
+const createStore = async () => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'store-test-'));
+  return new JsonFileStore({ dataDir, saveDelay: 10 });
+};
+
+test('overlapping flushes write the latest value and leave no temporary file', async (t) => {
+  const store = await createStore();
+  t.after(() => fs.remove(store.config.dataDir));
+
+  const flushes = [];
+  for (let i = 0; i < 20; i++) {
+    store.set('settings', 'user', { count: i });
+    flushes.push(store.flush());
+  }
+  await Promise.all(flushes);
+
+  const files = await fs.readdir(store.config.dataDir);
+  assert.deepEqual(files, ['settings.json']);
+  assert.deepEqual(await fs.readJson(path.join(store.config.dataDir, 'settings.json')), { user: { count: 19 } });
+});
+
+test('close waits for a write started by the save timer', async (t) => {
+  const store = await createStore();
+  t.after(() => fs.remove(store.config.dataDir));
+
+  store.set('settings', 'user', { count: 1 });
+  await new Promise(resolve => setTimeout(resolve, 20));
+  store.set('settings', 'user', { count: 2 });
+  await store.close();
+
+  const reloaded = new JsonFileStore({ dataDir: store.config.dataDir });
+  await reloaded.load();
+  assert.deepEqual(reloaded.get('settings', 'user'), { count: 2 });
+});
+
+test('a failed write is retried by the next flush', async (t) => {
+  const store = await createStore();
+  t.after(() => fs.remove(store.config.dataDir));
+
+  const { outputJson } = fs;
+  fs.outputJson = async () => { throw new Error('disk full'); };
+  store.set('settings', 'user', { count: 1 });
+  await assert.rejects(store.flush(), /disk full/);
+  fs.outputJson = outputJson;
+
+  await store.close();
+  assert.deepEqual(await fs.readJson(path.join(store.config.dataDir, 'settings.json')), { user: { count: 1 } });
+});
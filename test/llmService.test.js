@@ -0,0 +1,103 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryStore } from '../src/stores/memoryStore.js';
+
+// The default provider needs a key to start; no request is ever sent
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+const { LlmService } = await import('../src/services/llmService.js');
+
+const createService = (config = {}) => new LlmService({
+  store: new MemoryStore(),
+  maxHistoryLength: 2,
+  summarize: false,
+  threadTitles: false,
+  ...config
+});
+
+const user = (content) => ({ role: 'user', content });
+const assistant = (content) => ({ role: 'assistant', content });
+const toolCall = (id) => ({
+  role: 'assistant',
+  content: null,
+  tool_calls: [{ id, type: 'function', function: { name: 'get_time', arguments: '{}' } }]
+});
+const toolResult = (id) => ({ role: 'tool', tool_call_id: id, name: 'get_time', content: '12:00' });
+
+describe('conversation history', () => {
+  test('keeps the last turns, not counting tool calls and results', () => {
+    const llm = createService();
+    [user('1'), assistant('1'), user('2'), toolCall('a'), toolResult('a'), assistant('2'), user('3'), assistant('3')]
+      .forEach(message => llm.updateConversationHistory('chat', message));
+
+    const history = llm.getConversationHistory('chat', 0);
+    assert.deepEqual(history.map(message => message.content), ['2', null, '12:00', '2', '3', '3']);
+  });
+
+  test('evicts tool calls and results with the turn they belong to', () => {
+    const llm = createService();
+    [user('1'), toolCall('a'), toolResult('a'), assistant('1'), user('2'), assistant('2'), user('3')]
+      .forEach(message => llm.updateConversationHistory('chat', message));
+
+    const history = llm.getConversationHistory('chat', 0);
+    assert.equal(history[0].role, 'assistant');
+    assert.equal(history[0].content, '1');
+    assert.ok(!history.some(message => message.role === 'tool'));
+  });
+
+  test('getConversationHistory limits by turns and includes tool messages in between', () => {
+    const llm = createService({ maxHistoryLength: 10 });
+    [user('1'), assistant('1'), user('2'), toolCall('a'), toolResult('a'), assistant('2')]
+      .forEach(message => llm.updateConversationHistory('chat', message));
+
+    assert.equal(llm.getConversationHistory('chat', 2).length, 4);
+  });
+
+  test('restoreConversation trims by turns like updateConversationHistory', () => {
+    const llm = createService();
+    const messages = [user('1'), assistant('1'), user('2'), toolCall('a'), toolResult('a'), assistant('2'), user('3'), assistant('3')];
+
+    llm.restoreConversation('chat', messages);
+    assert.deepEqual(llm.getConversationHistory('chat', 0), messages.slice(2));
+  });
+
+  test('restoreConversation drops tool results at the start', () => {
+    const llm = createService();
+    llm.restoreConversation('chat', [toolResult('a'), user('1'), assistant('1')]);
+
+    assert.deepEqual(llm.getConversationHistory('chat', 0), [user('1'), assistant('1')]);
+  });
+});
+
+describe('completeWithFailover', () => {
+  const entry = (id) => ({ id, provider: { name: id }, model: 'model' });
+  const failure = (status, message) => Object.assign(new Error(message), { status });
+
+  // Providers answer unless given an error to throw
+  const complete = async (errors) => {
+    const llm = createService();
+    llm.requestWithRetries = async ({ id }) => {
+      if (errors[id]) throw errors[id];
+      return { role: 'assistant', content: `answer from ${id}` };
+    };
+    const { reply } = await llm.completeWithFailover([entry('first'), entry('second'), entry('third')], {});
+    return reply.content;
+  };
+
+  test('falls back when the first provider is down', async () => {
+    assert.equal(await complete({ first: failure(503, 'unavailable') }), 'answer from second');
+  });
+
+  test('stops on a request error from the first provider', async () => {
+    await assert.rejects(complete({ first: failure(400, 'bad request') }), /bad request/);
+  });
+
+  test('skips a fallback that rejects the request', async () => {
+    const errors = { first: failure(503, 'unavailable'), second: failure(400, 'unknown model') };
+    assert.equal(await complete(errors), 'answer from third');
+  });
+
+  test('reports the first error when no provider answers', async () => {
+    const errors = { first: failure(503, 'unavailable'), second: failure(400, 'unknown model'), third: failure(500, 'broken') };
+    await assert.rejects(complete(errors), /unavailable/);
+  });
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QuotaService } from '../src/services/quotaService.js';
+import { MemoryStore } from '../src/stores/memoryStore.js';
+
+const createService = (config = {}) => new QuotaService({
+  store: new MemoryStore(),
+  userMessagesPerMinute: 2,
+  groupMessagesPerMinute: 1,
+  dailyTokens: 0,
+  monthlyTokens: 0,
+  ...config
+});
+
+test('limits the messages per minute of a user', () => {
+  const quota = createService();
+
+  assert.equal(quota.check('ann').allowed, true);
+  assert.equal(quota.check('ann').allowed, true);
+
+  const denied = quota.check('ann');
+  assert.equal(denied.allowed, false);
+  assert.equal(denied.reason, 'rate');
+  assert.equal(denied.notify, true);
+  assert.equal(quota.check('ann').notify, false);
+});
+
+test('a message the group limit turns away does not count against the sender', () => {
+  const quota = createService();
+
+  assert.equal(quota.check('ann', 'group').allowed, true);
+  assert.equal(quota.check('bob', 'group').allowed, false);
+  assert.equal(quota.check('bob', 'group').allowed, false);
+
+  // Bob's own limit is untouched, so he can still use the bot outside the group
+  assert.equal(quota.check('bob').allowed, true);
+  assert.equal(quota.check('bob').allowed, true);
+});
+
+test('stops users who used their daily tokens', () => {
+  const quota = createService({ dailyTokens: 100 });
+  quota.recordUsage({ userId: 'ann', totalTokens: 100 });
+
+  const denied = quota.check('ann');
+  assert.equal(denied.allowed, false);
+  assert.equal(denied.reason, 'daily');
+  assert.equal(quota.check('bob').allowed, true);
+});